@@ -0,0 +1,528 @@
+// API keys (issuing, lookup, rotation) and request authentication with a Supabase access token
+// or a Pro API key
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const { supabase } = require('./supabase');
+
+// API keys are issued as sk-<key id>.<secret> and stored in user_api_keys, several per Pro user,
+// each with a label, scopes and an optional expiry. The key id is indexed, so a key is found with
+// one query and checked with one constant-time hash comparison. Keys issued before key ids
+// (sk-<64 hex>) are migrated on first use, see findLegacyApiKeyRecord.
+// Usage is still counted per user in api_keys.
+const API_KEY_PATTERN = /^sk-([0-9a-f]{16})\.([0-9a-f]{64})$/;
+const LEGACY_API_KEY_PATTERN = /^sk-[0-9a-f]{64}$/;
+// Set LEGACY_API_KEY_SCAN=false once no unmigrated keys are left (user_api_keys rows with a null key_id)
+const LEGACY_API_KEY_SCAN = process.env.LEGACY_API_KEY_SCAN !== 'false';
+// bcrypt compares are slow by design and can be triggered without authentication, so legacy
+// lookups compare LEGACY_API_KEY_SCAN_BATCH_SIZE keys at a time and all lookups together at most
+// LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE keys per minute
+const LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE = Number(process.env.LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE) || 60;
+const LEGACY_API_KEY_SCAN_BATCH_SIZE = Math.min(
+  Number(process.env.LEGACY_API_KEY_SCAN_BATCH_SIZE) || 10,
+  LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE
+);
+const LEGACY_SCAN_CURSORS_MAX_ENTRIES = 1000;
+const API_KEY_SCOPES = ['refactor', 'generate', 'optimize', 'usage-read'];
+const GENERATION_SCOPES = ['refactor', 'generate', 'optimize'];
+const API_KEY_RECORD_COLUMNS = `
+      id,
+      name,
+      label,
+      key_id,
+      key_hash,
+      key_last4,
+      scopes,
+      expires_at,
+      rotated_at,
+      grace_ends_at,
+      users!inner(plan)
+    `;
+
+function generateApiKey() {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  return { keyId, apiKey: `sk-${keyId}.${crypto.randomBytes(32).toString('hex')}` };
+}
+
+// The parts of a key that are stored in the clear so users can recognise it: the public
+// sk-<key id> part (or the first characters of a legacy key) and the last four characters
+function getApiKeyDisplayParts(apiKey) {
+  const match = apiKey.match(API_KEY_PATTERN);
+  return {
+    key_prefix: match ? `sk-${match[1]}` : apiKey.slice(0, 9),
+    key_last4: apiKey.slice(-4)
+  };
+}
+
+function maskApiKey(key) {
+  return `${key.key_prefix || 'sk-'}${'*'.repeat(8)}${key.key_last4 || ''}`;
+}
+
+// Keys are long random strings, so a plain SHA-256 is enough (no salt or slow hash needed)
+async function hashApiKey(apiKey) {
+  return 'sha256:' + crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+async function verifyApiKey(plainApiKey, hashedApiKey) {
+  if (hashedApiKey.startsWith('sha256:')) {
+    const expected = Buffer.from(hashedApiKey.slice('sha256:'.length), 'hex');
+    const actual = crypto.createHash('sha256').update(plainApiKey).digest();
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // bcrypt hashes of keys issued before key ids
+  return await bcrypt.compare(plainApiKey, hashedApiKey);
+}
+
+function isApiKeyExpired(record) {
+  return Boolean(record.expires_at) && new Date(record.expires_at).getTime() <= Date.now();
+}
+
+// A rotated key whose grace period is over counts as revoked, even before the sweep sets revoked_at
+function isApiKeyRetired(record) {
+  return Boolean(record.grace_ends_at) && new Date(record.grace_ends_at).getTime() <= Date.now();
+}
+
+// Rotation details of a key that was replaced but is still in its grace period, otherwise null
+function getApiKeyDeprecation(record) {
+  if (!record.grace_ends_at || isApiKeyRetired(record)) return null;
+  return { rotatedAt: record.rotated_at, sunsetAt: record.grace_ends_at };
+}
+
+// Deprecation (RFC 9745) and Sunset (RFC 8594) headers tell clients to switch to the new key
+function setApiKeyDeprecationHeaders(res, deprecation) {
+  if (!deprecation) return;
+  res.set('Deprecation', `@${Math.floor(new Date(deprecation.rotatedAt).getTime() / 1000)}`);
+  res.set('Sunset', new Date(deprecation.sunsetAt).toUTCString());
+}
+
+// Legacy keys have no id of their own; after their first use they are found under one derived from the key
+function getLegacyKeyId(plainApiKey) {
+  return 'legacy-' + crypto.createHash('sha256').update(plainApiKey).digest('hex').slice(0, 24);
+}
+
+async function findApiKeyRecordById(keyId, plainApiKey) {
+  const { data: record, error } = await supabase
+    .from('user_api_keys')
+    .select(API_KEY_RECORD_COLUMNS)
+    .eq('key_id', keyId)
+    .is('revoked_at', null)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null;
+    throw error;
+  }
+
+  return await verifyApiKey(plainApiKey, record.key_hash) ? record : null;
+}
+
+// bcrypt compares made by legacy key scans in the current minute, shared by all requests
+const legacyScanBudget = { windowStart: 0, used: 0 };
+
+function takeLegacyScanBudget(compares) {
+  const now = Date.now();
+  if (now - legacyScanBudget.windowStart >= 60 * 1000) {
+    legacyScanBudget.windowStart = now;
+    legacyScanBudget.used = 0;
+  }
+
+  if (legacyScanBudget.used + compares > LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE) return false;
+  legacyScanBudget.used += compares;
+  return true;
+}
+
+// Where an interrupted scan for a legacy key continues, by derived key id. A Map keeps insertion
+// order, so the first key is always the oldest one.
+const legacyScanCursors = new Map();
+
+function saveLegacyScanCursor(keyId, lastScannedId) {
+  legacyScanCursors.delete(keyId);
+  legacyScanCursors.set(keyId, lastScannedId);
+  if (legacyScanCursors.size > LEGACY_SCAN_CURSORS_MAX_ENTRIES) {
+    legacyScanCursors.delete(legacyScanCursors.keys().next().value);
+  }
+}
+
+// Legacy keys that were used since key ids were introduced are found by their derived key id.
+// The others only have a bcrypt hash, which cannot be indexed (migrations never see the plain
+// key), so the key is compared against every unmigrated Pro key in batches, in id order. When the
+// per-minute budget runs out the lookup is refused with 429 and the next attempt with the same key
+// continues after the last batch it compared, so every valid key is reached eventually. On a match
+// the key gets its derived key id and a SHA-256 hash, so the next lookup is indexed.
+async function findLegacyApiKeyRecord(plainApiKey) {
+  const keyId = getLegacyKeyId(plainApiKey);
+  const migrated = await findApiKeyRecordById(keyId, plainApiKey);
+  if (migrated) return migrated;
+
+  if (!LEGACY_API_KEY_SCAN) {
+    throw createAuthError('This API key uses a format that is no longer accepted. Create a new API key in your account settings.');
+  }
+
+  let lastScannedId = legacyScanCursors.get(keyId) || null;
+
+  for (;;) {
+    let query = supabase
+      .from('user_api_keys')
+      .select(API_KEY_RECORD_COLUMNS)
+      .is('key_id', null)
+      .is('revoked_at', null)
+      .like('key_hash', '$2%')
+      .eq('users.plan', 'pro')
+      .order('id', { ascending: true })
+      .limit(LEGACY_API_KEY_SCAN_BATCH_SIZE);
+    if (lastScannedId) query = query.gt('id', lastScannedId);
+
+    const { data: legacyRecords, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    if (legacyRecords.length === 0) {
+      legacyScanCursors.delete(keyId);
+      return null;
+    }
+
+    if (!takeLegacyScanBudget(legacyRecords.length)) {
+      if (lastScannedId) saveLegacyScanCursor(keyId, lastScannedId);
+      console.log('Legacy API key scan limit reached, the lookup continues on the next attempt');
+      throw createAuthError('This API key is being upgraded to a new format. Try again in a minute.', 429);
+    }
+
+    for (const record of legacyRecords) {
+      if (!await verifyApiKey(plainApiKey, record.key_hash)) continue;
+
+      legacyScanCursors.delete(keyId);
+      const hashedApiKey = await hashApiKey(plainApiKey);
+      const { error: updateError } = await supabase
+        .from('user_api_keys')
+        .update({ key_id: keyId, key_hash: hashedApiKey, ...getApiKeyDisplayParts(plainApiKey) })
+        .eq('id', record.id);
+
+      if (updateError) {
+        console.log('ERROR: Failed to migrate legacy API key for user:', record.name);
+        console.log('Database error:', JSON.stringify(updateError, null, 2));
+      }
+
+      return { ...record, key_id: keyId, key_hash: hashedApiKey, ...getApiKeyDisplayParts(plainApiKey) };
+    }
+
+    lastScannedId = legacyRecords[legacyRecords.length - 1].id;
+  }
+}
+
+// Returns the key's user_api_keys row (with users.plan), or null for unknown, revoked and retired keys.
+// Expired keys are returned so callers can say why they are refused; only usable keys get last_used_at.
+async function findApiKeyRecord(plainApiKey) {
+  const match = plainApiKey.match(API_KEY_PATTERN);
+  const record = match
+    ? await findApiKeyRecordById(match[1], plainApiKey)
+    : LEGACY_API_KEY_PATTERN.test(plainApiKey) ? await findLegacyApiKeyRecord(plainApiKey) : null;
+
+  if (record && isApiKeyRetired(record)) return null;
+
+  if (record && !isApiKeyExpired(record)) {
+    // Keys created before prefixes were stored get them on their next use
+    const { error } = await supabase
+      .from('user_api_keys')
+      .update({
+        last_used_at: new Date().toISOString(),
+        ...(record.key_last4 ? {} : getApiKeyDisplayParts(plainApiKey))
+      })
+      .eq('id', record.id);
+
+    if (error) {
+      console.log('ERROR: Failed to update API key last use:', record.id);
+      console.log('Database error:', JSON.stringify(error, null, 2));
+    }
+  }
+
+  return record;
+}
+
+// Issues a new key for the user. The plain key is only ever returned here.
+async function createUserApiKey(userName, { label, scopes = API_KEY_SCOPES, expiresAt = null }) {
+  const { keyId, apiKey } = generateApiKey();
+
+  const { data: record, error } = await supabase
+    .from('user_api_keys')
+    .insert([{
+      name: userName,
+      label,
+      key_id: keyId,
+      key_hash: await hashApiKey(apiKey),
+      ...getApiKeyDisplayParts(apiKey),
+      scopes,
+      expires_at: expiresAt
+    }])
+    .select('id, label, key_id, key_prefix, key_last4, scopes, expires_at, created_at')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { record, apiKey };
+}
+
+// Revokes every active key of a user, e.g. when the plan changes, so the keys stay unusable even
+// if the user upgrades again
+async function revokeUserApiKeys(userName) {
+  return supabase
+    .from('user_api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('name', userName)
+    .is('revoked_at', null)
+    .select('id');
+}
+
+const API_KEY_LIST_COLUMNS = 'id, label, key_id, key_prefix, key_last4, scopes, expires_at, created_at, last_used_at, revoked_at, replaced_by, rotated_at, grace_ends_at';
+
+// Keys of the user that can still be used (not revoked, not expired, not past a rotation grace period), newest first
+async function getActiveApiKeys(userName) {
+  const { data: keys, error } = await supabase
+    .from('user_api_keys')
+    .select(API_KEY_LIST_COLUMNS)
+    .eq('name', userName)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return keys.filter(key => !isApiKeyExpired(key) && !isApiKeyRetired(key));
+}
+
+function getApiKeyStatus(key) {
+  if (key.revoked_at || isApiKeyRetired(key)) return 'revoked';
+  if (isApiKeyExpired(key)) return 'expired';
+  return key.grace_ends_at ? 'deprecated' : 'active';
+}
+
+// Completed generations made with each key, from generation_logs. Keys without any are not
+// returned by api_key_usage_counts, so they default to 0.
+async function getApiKeyUsageCounts(keys) {
+  const usageCounts = new Map(keys.map(key => [key.id, 0]));
+  if (keys.length === 0) return usageCounts;
+
+  const { data, error } = await supabase
+    .rpc('api_key_usage_counts', {
+      key_ids: keys.map(key => key.id)
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  for (const row of data) {
+    usageCounts.set(row.api_key_id, Number(row.usage_count));
+  }
+  return usageCounts;
+}
+
+// Key metadata as returned to its owner; never includes the hash
+async function toApiKeySummaries(keys) {
+  const usageCounts = await getApiKeyUsageCounts(keys);
+  return keys.map(key => ({
+    ...key,
+    masked_key: maskApiKey(key),
+    status: getApiKeyStatus(key),
+    usage_count: usageCounts.get(key.id)
+  }));
+}
+
+// Callers identify themselves with "Authorization: Bearer <token>", where the token is either a
+// Supabase access token (JWT) or a Pro API key. The user is always taken from the verified token;
+// user_email, name and userName fields in request bodies are not used for identity.
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+function createAuthError(message, status = 401) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function decodeJwtPart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Verifies an HS256 Supabase access token with the project's JWT secret and returns its claims
+function verifySupabaseJwt(token) {
+  if (!SUPABASE_JWT_SECRET) {
+    throw createAuthError('Token authentication is not configured on this server', 500);
+  }
+
+  const parts = token.split('.');
+  const header = parts.length === 3 ? decodeJwtPart(parts[0]) : null;
+  const claims = header ? decodeJwtPart(parts[1]) : null;
+
+  if (!header || !claims) {
+    throw createAuthError('Malformed access token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw createAuthError('Unsupported access token algorithm');
+  }
+
+  const expected = crypto.createHmac('sha256', SUPABASE_JWT_SECRET).update(`${parts[0]}.${parts[1]}`).digest();
+  const signature = Buffer.from(parts[2], 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw createAuthError('Invalid access token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+    throw createAuthError('Access token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    throw createAuthError('Access token is not valid yet');
+  }
+  if (![].concat(claims.aud).includes(SUPABASE_JWT_AUDIENCE)) {
+    throw createAuthError('Access token was not issued for this service');
+  }
+  if (typeof claims.email !== 'string' || claims.email.trim() === '') {
+    throw createAuthError('Access token has no email claim');
+  }
+
+  return claims;
+}
+
+// Returns { email, method, plan, apiKeyId, scopes, deprecation } for the caller. plan, apiKeyId
+// and scopes are only known up front for API keys; deprecation is set for rotated keys in their grace period.
+async function authenticateRequest(req, { allowApiKey }) {
+  const [scheme, token] = (req.get('authorization') || '').split(/\s+/);
+
+  if (!token || scheme.toLowerCase() !== 'bearer') {
+    throw createAuthError(allowApiKey
+      ? 'Authentication required: send a Supabase access token or a Pro API key as a Bearer token'
+      : 'Authentication required: send a Supabase access token as a Bearer token');
+  }
+
+  if (token.startsWith('sk-')) {
+    if (!allowApiKey) {
+      throw createAuthError('API keys cannot be used for this endpoint; sign in instead', 403);
+    }
+
+    const apiKeyData = await findApiKeyRecord(token);
+    if (!apiKeyData) {
+      throw createAuthError('Invalid API key');
+    }
+    if (isApiKeyExpired(apiKeyData)) {
+      throw createAuthError('API key has expired');
+    }
+    if (apiKeyData.users.plan !== 'pro') {
+      throw createAuthError('API keys are only valid for Pro users', 403);
+    }
+
+    return {
+      email: apiKeyData.name,
+      method: 'api_key',
+      plan: apiKeyData.users.plan,
+      apiKeyId: apiKeyData.id,
+      scopes: apiKeyData.scopes || [],
+      deprecation: getApiKeyDeprecation(apiKeyData)
+    };
+  }
+
+  const claims = verifySupabaseJwt(token);
+  return { email: claims.email.trim(), method: 'jwt', plan: null, apiKeyId: null, scopes: null, deprecation: null };
+}
+
+// Signed-in users can do everything; an API key needs one of the given scopes
+function hasAuthScope(auth, scope) {
+  return auth.method !== 'api_key' || [].concat(scope).some(name => auth.scopes.includes(name));
+}
+
+function createScopeError(scope) {
+  return createAuthError(`This API key is missing the required scope: ${[].concat(scope).join(' or ')}`, 403);
+}
+
+// Route middleware setting req.auth. Account management routes pass { allowApiKey: false }
+// so a leaked API key cannot be used to replace keys or change the subscription. scope is a
+// scope name, or a list of which the key needs at least one.
+function requireAuth({ allowApiKey = true, scope = null } = {}) {
+  return async (req, res, next) => {
+    try {
+      req.auth = await authenticateRequest(req, { allowApiKey });
+      setApiKeyDeprecationHeaders(res, req.auth.deprecation);
+      if (scope && !hasAuthScope(req.auth, scope)) throw createScopeError(scope);
+      next();
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+      if (status === 500) console.error('❌ Error authenticating request:', error);
+
+      res.status(status).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  };
+}
+
+// Rotation replaces a key without breaking integrations: the new key gets the old key's label, scopes
+// and expiry, and the old key keeps working for the grace period (with Deprecation and Sunset headers).
+const API_KEY_ROTATION_MAX_GRACE_HOURS = 30 * 24;
+// 0 is a valid setting (rotation revokes the old key at once); unset or invalid values fall back to 24 hours
+const configuredGraceHours = Number(process.env.API_KEY_ROTATION_GRACE_HOURS?.trim() || NaN);
+const API_KEY_ROTATION_GRACE_HOURS = Number.isFinite(configuredGraceHours) &&
+  configuredGraceHours >= 0 && configuredGraceHours <= API_KEY_ROTATION_MAX_GRACE_HOURS
+  ? configuredGraceHours
+  : 24;
+const API_KEY_ROTATION_SWEEP_MS = Number(process.env.API_KEY_ROTATION_SWEEP_MS) || 10 * 60 * 1000;
+
+// Sets revoked_at on rotated keys whose grace period is over. Lookups already refuse them, so this
+// only keeps the table (and ?includeRevoked listings) accurate.
+async function revokeRetiredApiKeys() {
+  const { data: revoked, error } = await supabase
+    .from('user_api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .is('revoked_at', null)
+    .lte('grace_ends_at', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    console.error('❌ Error revoking rotated API keys:', error);
+    return;
+  }
+
+  if (revoked.length > 0) {
+    console.log(`🔒 Revoked ${revoked.length} rotated API key(s) after their grace period`);
+  }
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  GENERATION_SCOPES,
+  maskApiKey,
+  hashApiKey,
+  isApiKeyExpired,
+  isApiKeyRetired,
+  getApiKeyDeprecation,
+  setApiKeyDeprecationHeaders,
+  findApiKeyRecord,
+  createUserApiKey,
+  revokeUserApiKeys,
+  API_KEY_LIST_COLUMNS,
+  getActiveApiKeys,
+  getApiKeyStatus,
+  toApiKeySummaries,
+  verifySupabaseJwt,
+  authenticateRequest,
+  hasAuthScope,
+  createScopeError,
+  requireAuth,
+  API_KEY_ROTATION_MAX_GRACE_HOURS,
+  API_KEY_ROTATION_GRACE_HOURS,
+  API_KEY_ROTATION_SWEEP_MS,
+  revokeRetiredApiKeys
+};
@@ -0,0 +1,212 @@
+// Token budgeting: oversized projects are split into import-ordered batches, one model call each
+
+const { sendSSEMessage } = require('./sse');
+const { AI_SYSTEM_PROMPT, getModelConfig, estimateTokens } = require('./models');
+const { generateValidatedResponse } = require('./response-schemas');
+const { extractImportSpecifiers, normalizeFilePath, resolveRelativeImport, uniqueStrings } = require('./project-files');
+
+// Upper bound on file tokens sent in one model call; output is roughly the same size again
+const MAX_BATCH_FILE_TOKENS = Number(process.env.MAX_BATCH_FILE_TOKENS) || 30000;
+const DEFAULT_CONTEXT_LENGTH = 128000;
+
+// Orders files so that each file comes after the files it imports. Cycles keep their input order.
+function orderFilesByImportGraph(files) {
+  const byPath = new Map(files.map(file => [normalizeFilePath(file.path), file]));
+  const knownPaths = new Set(byPath.keys());
+  const ordered = [];
+  const state = new Map();
+
+  function visit(filePath) {
+    if (state.get(filePath)) return;
+    state.set(filePath, 'visiting');
+
+    for (const specifier of extractImportSpecifiers(byPath.get(filePath).content)) {
+      const dependency = resolveRelativeImport(filePath, specifier, knownPaths);
+      if (dependency && !state.has(dependency)) {
+        visit(dependency);
+      }
+    }
+
+    state.set(filePath, 'done');
+    ordered.push(byPath.get(filePath));
+  }
+
+  for (const filePath of byPath.keys()) {
+    visit(filePath);
+  }
+
+  return ordered;
+}
+
+function estimateFileTokens(file) {
+  return estimateTokens(file.path) + estimateTokens(file.content) + 10;
+}
+
+// File token budget per batch for a model, after the fixed prompt overhead.
+// Half of what is left is kept free for the rewritten files in the response.
+function getBatchTokenBudget(modelConfig, overheadTokens) {
+  const contextLength = modelConfig?.contextLength || DEFAULT_CONTEXT_LENGTH;
+  const available = Math.floor((contextLength - overheadTokens - estimateTokens(AI_SYSTEM_PROMPT)) / 2);
+  return Math.max(0, Math.min(MAX_BATCH_FILE_TOKENS, available));
+}
+
+// Greedily packs dependency-ordered files into batches that fit the budget.
+// A single file over budget gets a batch of its own.
+function planBatches(files, budgetTokens) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  for (const file of orderFilesByImportGraph(files)) {
+    const tokens = estimateFileTokens(file);
+
+    if (current.length > 0 && currentTokens + tokens > budgetTokens) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+
+    current.push(file);
+    currentTokens += tokens;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+// Tells later batches which files earlier batches already produced, so imports line up
+function createBatchContext(batchIndex, totalBatches, previousFiles) {
+  if (totalBatches === 1) return '';
+
+  return `
+
+  **BATCH CONTEXT:**
+  This project is too large for one request and is processed in ${totalBatches} batches. This is batch ${batchIndex + 1} of ${totalBatches}.
+  Only rewrite the files provided in this batch. Files in other batches will be handled separately.
+  ${previousFiles.length > 0 ? `Files already produced by earlier batches (import from these paths rather than recreating them):
+  ${JSON.stringify(previousFiles, null, 2)}` : 'This is the first batch; dependencies of later files are included here.'}`;
+}
+
+// Later batches win when the same path is produced twice (e.g. a shared utils file)
+function mergeFilesByPath(results) {
+  const merged = new Map();
+  for (const result of results) {
+    for (const file of result.files || []) {
+      merged.set(normalizeFilePath(file.path), file);
+    }
+  }
+  return [...merged.values()];
+}
+
+function mergeRefactoringResults(results) {
+  if (results.length === 1) return results[0];
+
+  const files = mergeFilesByPath(results);
+
+  // Each batch only sees part of the code, so a package is unused only if every batch says so
+  const unusedPackages = (results[0].unusedPackages || []).filter(pkg =>
+    results.every(result => (result.unusedPackages || []).some(other => other.name === pkg.name))
+  );
+  const unusedDependencies = unusedPackages.filter(pkg => pkg.type !== 'devDependency').map(pkg => pkg.name);
+  const unusedDevDependencies = unusedPackages.filter(pkg => pkg.type === 'devDependency').map(pkg => pkg.name);
+
+  return {
+    ...results[0],
+    totalFiles: files.length,
+    totalWords: results.reduce((sum, result) => sum + (Number(result.totalWords) || 0), 0),
+    changes_summary: results.map((result, index) => `Batch ${index + 1}: ${result.changes_summary || ''}`).join('\n'),
+    secrets: Object.assign({}, ...results.map(result => result.secrets || {})),
+    packageAnalysis: {
+      ...(results[0].packageAnalysis || {}),
+      unusedPackagesFound: unusedPackages.length
+    },
+    unusedPackages,
+    npmUninstallCommands: [
+      ...(unusedDependencies.length > 0 ? [`npm uninstall ${unusedDependencies.join(' ')}`] : []),
+      ...(unusedDevDependencies.length > 0 ? [`npm uninstall --save-dev ${unusedDevDependencies.join(' ')}`] : [])
+    ],
+    originalFilesToDelete: uniqueStrings(results.flatMap(result => result.originalFilesToDelete || [])),
+    additionalFilesToDelete: uniqueStrings(results.flatMap(result => result.additionalFilesToDelete || [])),
+    files
+  };
+}
+
+function mergeOptimizationResults(results) {
+  if (results.length === 1) return results[0];
+
+  const files = mergeFilesByPath(results);
+
+  return {
+    ...results[0],
+    totalFilesOptimized: files.length,
+    optimization_summary: results.map((result, index) => `Batch ${index + 1}: ${result.optimization_summary || ''}`).join('\n'),
+    files,
+    recommendations: uniqueStrings(results.flatMap(result => result.recommendations || []))
+  };
+}
+
+// Splits files into token-budgeted batches, runs one model call per batch and merges the
+// parsed results. buildPrompt(batchFiles) returns the prompt for one batch.
+async function runBatchedGeneration({ files, mode, buildPrompt, mergeResults, selectedModel, res, userPlan, apiKey, signal, restoreFile = file => file }) {
+  const overheadTokens = estimateTokens(buildPrompt([]));
+  const budget = getBatchTokenBudget(getModelConfig(selectedModel), overheadTokens);
+
+  if (budget === 0) {
+    throw new Error('Project metadata and package.json alone exceed the model context window');
+  }
+
+  const batches = planBatches(files, budget);
+  const results = [];
+  const previousFiles = [];
+  let answeredModel = selectedModel;
+
+  if (batches.length > 1) {
+    console.log(`Splitting ${files.length} files into ${batches.length} batches (budget ${budget} tokens each)`);
+  }
+
+  for (let index = 0; index < batches.length; index++) {
+    const batch = batches[index];
+
+    if (batches.length > 1) {
+      sendSSEMessage(res, 'progress', {
+        message: `Processing batch ${index + 1}/${batches.length} (${batch.length} file${batch.length === 1 ? '' : 's'})...`,
+        batch: index + 1,
+        totalBatches: batches.length,
+        files: batch.map(file => file.path)
+      });
+    }
+
+    const prompt = buildPrompt(batch) + createBatchContext(index, batches.length, previousFiles);
+    const { parsedResponse, answeredModel: model } = await generateValidatedResponse({
+      prompt,
+      mode,
+      selectedModel,
+      res,
+      userPlan,
+      apiKey,
+      signal,
+      onFile: (file, fileIndex) => {
+        sendSSEMessage(res, 'file', { file: restoreFile(file), index: fileIndex, batch: index + 1 });
+      }
+    });
+    answeredModel = model;
+
+    results.push(parsedResponse);
+    previousFiles.push(...parsedResponse.files.map(file => file.path));
+  }
+
+  return {
+    parsedResponse: mergeResults(results),
+    answeredModel,
+    totalBatches: batches.length
+  };
+}
+
+module.exports = {
+  mergeRefactoringResults,
+  mergeOptimizationResults,
+  runBatchedGeneration
+};
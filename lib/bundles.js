@@ -0,0 +1,190 @@
+// Downloadable ZIP bundle of each generation, stored in Supabase Storage
+
+const crypto = require('crypto');
+const path = require('path');
+const JSZip = require('jszip');
+
+const { supabase } = require('./supabase');
+const { normalizeFilePath, uniqueStrings } = require('./project-files');
+
+// Every generation is packaged as a ZIP in Supabase Storage and linked from its generation_logs row
+const ARTIFACT_BUCKET = process.env.ARTIFACT_BUCKET || 'generation-artifacts';
+const ARTIFACT_URL_TTL_SECONDS = Number(process.env.ARTIFACT_URL_TTL_SECONDS) || 3600;
+
+// Commands the apply script may run; anything else from the model is only listed in MIGRATION.md
+const SAFE_NPM_COMMAND_PATTERN = /^npm (install|i|uninstall|un|rm|remove)( (--save-dev|-D|--save|-S|@?[\w][\w@./^~=-]*))+$/;
+
+function isSafeBundlePath(filePath) {
+  const normalized = normalizeFilePath(filePath);
+  return normalized !== '' && normalized !== '.' && !path.posix.isAbsolute(normalized) && !normalized.split('/').includes('..');
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function getBundleNpmCommands(parsedResponse) {
+  return uniqueStrings([...(parsedResponse.npmUninstallCommands || []), ...(parsedResponse.npmInstallCommands || [])]);
+}
+
+// Variable names only; secret values never go into the bundle
+function createEnvExample(secrets) {
+  const names = Object.keys(secrets || {}).filter(name => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name));
+  if (names.length === 0) return null;
+
+  return [
+    '# Environment variables used by the generated code.',
+    '# Copy to .env and fill in the values.',
+    ...names.map(name => `${name}=`),
+    ''
+  ].join('\n');
+}
+
+function createMigrationGuide(parsedResponse, { generationMode, outputMode, files, deletions, npmCommands, skippedPaths }) {
+  const list = (items, format = item => `- \`${item}\``) => (items.length > 0 ? items.map(format).join('\n') : '_None_');
+  const summary = parsedResponse.changes_summary || parsedResponse.optimization_summary || '';
+  const secretNames = Object.keys(parsedResponse.secrets || {});
+
+  const sections = [
+    `# Migration guide`,
+    `Generated by the ${generationMode} endpoint (${outputMode} output) on ${new Date().toISOString()}.`,
+    summary ? `## Summary\n\n${summary}` : null,
+    `## Files to add or replace\n\nCopied from \`files/\` by \`apply.sh\`.\n\n${list(files, file => `- \`${file.path}\`${file.isNew ? ' (new)' : ''}`)}`,
+    `## Files to delete\n\n${list(deletions)}`,
+    `## npm commands\n\nRun by \`apply.sh --npm\`, or by hand.\n\n${list(npmCommands, command => `    ${command}`)}`,
+    secretNames.length > 0
+      ? `## Environment variables\n\nHardcoded secrets were moved to environment variables. Set these in \`.env\` (see \`.env.example\`):\n\n${list(secretNames)}`
+      : null,
+    parsedResponse.patch ? '## Patch\n\n`changes.patch` holds the same changes as a unified diff for review or `git apply`.' : null,
+    parsedResponse.importCheck ? `## Import check\n\n${parsedResponse.importCheck.summary}` : null,
+    parsedResponse.syntaxCheck ? `## Syntax check\n\n${parsedResponse.syntaxCheck.summary}` : null,
+    skippedPaths.length > 0 ? `## Skipped paths\n\nThese paths point outside the project and were left out:\n\n${list(skippedPaths)}` : null
+  ];
+
+  return sections.filter(Boolean).join('\n\n') + '\n';
+}
+
+function createApplyScript({ files, deletions, npmCommands }) {
+  const runnable = npmCommands.filter(command => SAFE_NPM_COMMAND_PATTERN.test(command));
+
+  return [
+    '#!/bin/sh',
+    '# Applies this bundle to a project: ./apply.sh [project-dir] [--npm]',
+    'set -e',
+    'BUNDLE_DIR=$(cd "$(dirname "$0")" && pwd)',
+    'TARGET_DIR=.',
+    'RUN_NPM=no',
+    'for arg in "$@"; do',
+    '  if [ "$arg" = "--npm" ]; then RUN_NPM=yes; else TARGET_DIR=$arg; fi',
+    'done',
+    'cd "$TARGET_DIR"',
+    '',
+    'copy_file() {',
+    '  mkdir -p "$(dirname "$1")"',
+    '  cp "$BUNDLE_DIR/files/$1" "$1"',
+    '}',
+    '',
+    `echo "Deleting ${deletions.length} file(s)"`,
+    ...deletions.map(filePath => `rm -f -- ${shellQuote(filePath)}`),
+    '',
+    `echo "Writing ${files.length} file(s)"`,
+    ...files.map(file => `copy_file ${shellQuote(file.path)}`),
+    '',
+    'if [ "$RUN_NPM" = "yes" ]; then',
+    ...(runnable.length > 0 ? runnable.map(command => `  ${command}`) : ['  :']),
+    'else',
+    ...(runnable.length > 0
+      ? ['  echo "Skipped npm commands (pass --npm to run them):"', ...runnable.map(command => `  echo ${shellQuote(`  ${command}`)}`)]
+      : ['  :']),
+    'fi',
+    '',
+    'echo "Done. See MIGRATION.md for details."',
+    ''
+  ].join('\n');
+}
+
+// Builds the ZIP for a generation, uploads it and returns { id, fileName, size, downloadUrl,
+// downloadPath, expiresAt }. parsedResponse.files must still hold full contents (the patch
+// output mode strips them, so callers pass the files from before applyPatchOutput).
+// Returns null when packaging or the upload fails; the generation itself still succeeds.
+async function createGenerationArtifact(parsedResponse, { reservation, generationMode, outputMode }) {
+  try {
+    const skippedPaths = [];
+    const files = [];
+    for (const file of parsedResponse.files || []) {
+      if (isSafeBundlePath(file.path)) files.push({ ...file, path: normalizeFilePath(file.path) });
+      else skippedPaths.push(file.path);
+    }
+
+    const bundledPaths = new Set(files.map(file => file.path));
+    const deletions = uniqueStrings(
+      [...(parsedResponse.originalFilesToDelete || []), ...(parsedResponse.additionalFilesToDelete || [])]
+        .filter(filePath => {
+          if (isSafeBundlePath(filePath)) return true;
+          skippedPaths.push(filePath);
+          return false;
+        })
+        .map(normalizeFilePath)
+        .filter(filePath => !bundledPaths.has(filePath))
+    );
+    const npmCommands = getBundleNpmCommands(parsedResponse);
+
+    const zip = new JSZip();
+    files.forEach(file => zip.file(`files/${file.path}`, file.content ?? ''));
+
+    const envExample = createEnvExample(parsedResponse.secrets);
+    if (envExample) zip.file('.env.example', envExample);
+    if (parsedResponse.patch) zip.file('changes.patch', parsedResponse.patch);
+    zip.file('MIGRATION.md', createMigrationGuide(parsedResponse, { generationMode, outputMode, files, deletions, npmCommands, skippedPaths }));
+    zip.file('apply.sh', createApplyScript({ files, deletions, npmCommands }), { unixPermissions: 0o755 });
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', platform: 'UNIX' });
+
+    const artifactId = crypto.randomUUID();
+    const storagePath = `${artifactId}.zip`;
+    const fileName = `${generationMode}-${artifactId.slice(0, 8)}.zip`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(ARTIFACT_BUCKET)
+      .upload(storagePath, buffer, { contentType: 'application/zip' });
+
+    if (uploadError) throw uploadError;
+
+    if (reservation?.id) {
+      const { error: linkError } = await supabase
+        .from('generation_logs')
+        .update({ artifact_id: artifactId })
+        .eq('id', reservation.id);
+
+      if (linkError) {
+        console.log('ERROR: Failed to link artifact to generation log:', reservation.id);
+        console.log('Database error:', JSON.stringify(linkError, null, 2));
+      }
+    }
+
+    const { data: signed, error: signError } = await supabase.storage
+      .from(ARTIFACT_BUCKET)
+      .createSignedUrl(storagePath, ARTIFACT_URL_TTL_SECONDS, { download: fileName });
+
+    if (signError) throw signError;
+
+    return {
+      id: artifactId,
+      fileName,
+      size: buffer.length,
+      downloadUrl: signed.signedUrl,
+      downloadPath: `/api/artifacts/${artifactId}`,
+      expiresAt: new Date(Date.now() + ARTIFACT_URL_TTL_SECONDS * 1000).toISOString()
+    };
+  } catch (error) {
+    console.error('❌ Error creating generation artifact:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  ARTIFACT_BUCKET,
+  ARTIFACT_URL_TTL_SECONDS,
+  isSafeBundlePath,
+  createGenerationArtifact
+};
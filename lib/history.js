@@ -0,0 +1,234 @@
+// Generation history: completed runs, refinement threads with numbered versions and snapshot diffs
+
+const crypto = require('crypto');
+
+const { supabase } = require('./supabase');
+const { normalizeFilePath, uniqueStrings } = require('./project-files');
+const { withoutSecretValues, redactSecretValues } = require('./secrets');
+const { createFilePatch, getOriginalsByPath } = require('./patch-output');
+
+const HISTORY_MODES = ['refactor', 'custom', 'optimize', 'revert'];
+const HISTORY_DEFAULT_PAGE_SIZE = 20;
+const HISTORY_MAX_PAGE_SIZE = 100;
+
+// Columns for listings; the full result is only returned for a single entry
+const HISTORY_LIST_COLUMNS = 'id, parent_id, root_id, version, mode, route, model, requested_model, project_type, project_language, output_mode, prompt, summary, files, usage, artifact_id, job_id, created_at';
+const HISTORY_VERSION_COLUMNS = 'id, parent_id, version, mode, prompt, summary, created_at';
+// Attempts to take the next free version number when concurrent requests extend the same thread
+const HISTORY_VERSION_MAX_ATTEMPTS = 5;
+
+function toSnapshotFiles(files) {
+  return (files || [])
+    .filter(file => typeof file.content === 'string')
+    .map(file => ({ path: normalizeFilePath(file.path), content: file.content }));
+}
+
+// Project files after a generation: the files it started from, minus deletions, plus its output
+function buildProjectSnapshot(baseFiles, outputFiles, deletedPaths) {
+  const contents = new Map(toSnapshotFiles(baseFiles).map(file => [file.path, file.content]));
+
+  deletedPaths.forEach(filePath => contents.delete(normalizeFilePath(filePath)));
+  toSnapshotFiles(outputFiles).forEach(file => contents.set(file.path, file.content));
+
+  return [...contents].map(([filePath, content]) => ({ path: filePath, content }));
+}
+
+// Per-file diff between two sets of project files
+function diffSnapshots(fromFiles, toFiles) {
+  const fromByPath = getOriginalsByPath(fromFiles);
+  const toByPath = getOriginalsByPath(toFiles);
+  const files = [];
+
+  for (const filePath of uniqueStrings([...fromByPath.keys(), ...toByPath.keys()])) {
+    const before = fromByPath.has(filePath) ? fromByPath.get(filePath) : null;
+    const after = toByPath.has(filePath) ? toByPath.get(filePath) : null;
+    if (before === after) continue;
+
+    files.push({
+      path: filePath,
+      status: before === null ? 'added' : after === null ? 'deleted' : 'modified',
+      patch: createFilePatch(filePath, before, after)
+    });
+  }
+
+  return { files, patch: files.map(file => file.patch).join('') };
+}
+
+// Inserts a history entry as version `version` of a thread. buildRow(version) returns the row.
+// (root_id, version) is unique, so when another request took the number first the entry is
+// stored as the version after the thread's latest. Resolves with the version it was stored as.
+async function insertHistoryVersion(buildRow, { rootId, userEmail, version }) {
+  for (let attempt = 1; ; attempt++) {
+    const { error } = await supabase
+      .from('generation_history')
+      .insert([buildRow(version)]);
+
+    if (!error) return version;
+    if (error.code !== '23505' || attempt === HISTORY_VERSION_MAX_ATTEMPTS) throw error;
+
+    const latest = await getLatestHistoryVersion(rootId, userEmail);
+    version = (latest?.version || 0) + 1;
+  }
+}
+
+// Stores a completed run with the final event payload so its output can be looked at again.
+// Refinements are stored as the next version of the thread they continue. The secret values found
+// by the request's redaction are replaced by markers everywhere in the entry (the result, the
+// original files and the snapshot), so refinements and reverts of it work on the markers.
+// Resolves with the stored version, or null when the entry could not be saved.
+async function saveGenerationHistory(reservation, { id = crypto.randomUUID(), mode, result, inputFiles = [], outputFiles, packageJson = null, prompt = null, jobId = null, refinement = null, redaction = null }) {
+  if (!reservation) return null;
+
+  const { data, metadata } = result;
+  const deleted = uniqueStrings([...(data.originalFilesToDelete || []), ...(data.additionalFilesToDelete || [])]);
+  const buildRow = version => ({
+    id,
+    name: reservation.name,
+    mode,
+    route: reservation.route,
+    model: metadata.selectedModel,
+    requested_model: metadata.requestedModel,
+    project_type: metadata.originalProjectType,
+    project_language: metadata.projectLanguage,
+    output_mode: data.outputMode || 'files',
+    prompt,
+    summary: data.changes_summary || data.optimization_summary || null,
+    files: {
+      input: inputFiles.map(file => file.path),
+      output: (data.files || []).map(file => ({
+        path: file.path,
+        status: file.status || (file.isNew ? 'added' : 'modified')
+      })),
+      deleted
+    },
+    usage: data.usage || null,
+    result: withoutSecretValues(redactSecretValues({ ...data, version }, redaction)),
+    artifact_id: data.artifact?.id || null,
+    generation_log_id: reservation.id,
+    job_id: jobId,
+    parent_id: refinement ? refinement.parentId : null,
+    root_id: refinement ? refinement.rootId : id,
+    version,
+    package_json: packageJson,
+    original_files: redactSecretValues(refinement ? refinement.originalFiles : toSnapshotFiles(inputFiles), redaction),
+    snapshot: redactSecretValues(buildProjectSnapshot(inputFiles, outputFiles || data.files, deleted), redaction)
+  });
+
+  try {
+    return await insertHistoryVersion(buildRow, {
+      rootId: refinement ? refinement.rootId : id,
+      userEmail: reservation.name,
+      version: refinement ? refinement.version : 1
+    });
+  } catch (error) {
+    console.log('ERROR: Failed to save generation history for user:', reservation.name);
+    console.log('Database error:', JSON.stringify(error, null, 2));
+    return null;
+  }
+}
+
+async function getOwnedHistoryEntry(entryId, userEmail, columns) {
+  const { data: entry, error } = await supabase
+    .from('generation_history')
+    .select(columns)
+    .eq('id', entryId)
+    .eq('name', userEmail)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') return null;
+    throw error;
+  }
+  return entry;
+}
+
+async function getLatestHistoryVersion(rootId, userEmail) {
+  const { data: latest, error } = await supabase
+    .from('generation_history')
+    .select('id, version, snapshot')
+    .eq('root_id', rootId)
+    .eq('name', userEmail)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return latest[0] || null;
+}
+
+// Middleware for /api/generate-custom (and jobs of that type). With previousGenerationId the
+// request refines a stored generation: the files of that version replace the request files, and
+// project settings the request leaves out are taken from it.
+async function loadRefinementBase(req, res, next) {
+  const { previousGenerationId } = req.body || {};
+  if (previousGenerationId === undefined || previousGenerationId === null) return next();
+
+  try {
+    const userEmail = req.auth.email;
+
+    if (typeof previousGenerationId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'previousGenerationId must be a history entry id'
+      });
+    }
+
+    const entry = await getOwnedHistoryEntry(
+      previousGenerationId,
+      userEmail,
+      'id, root_id, version, mode, prompt, project_type, project_language, package_json, original_files, snapshot'
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Previous generation not found'
+      });
+    }
+
+    if (!entry.snapshot) {
+      return res.status(409).json({
+        success: false,
+        error: 'This generation was saved without its files and cannot be refined'
+      });
+    }
+
+    const rootId = entry.root_id || entry.id;
+    const latest = await getLatestHistoryVersion(rootId, userEmail);
+
+    req.refinement = {
+      parentId: entry.id,
+      rootId,
+      parentVersion: entry.version,
+      version: Math.max(entry.version, latest?.version || 0) + 1,
+      parentPrompt: entry.prompt || `${entry.mode} run`,
+      baseFiles: entry.snapshot,
+      originalFiles: entry.original_files || []
+    };
+
+    req.body.projectType = req.body.projectType || entry.project_type;
+    req.body.projectLanguage = req.body.projectLanguage || entry.project_language;
+    req.body.packageJson = req.body.packageJson || entry.package_json || {};
+
+    next();
+  } catch (error) {
+    console.error('❌ Error loading previous generation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+module.exports = {
+  HISTORY_MODES,
+  HISTORY_DEFAULT_PAGE_SIZE,
+  HISTORY_MAX_PAGE_SIZE,
+  HISTORY_LIST_COLUMNS,
+  HISTORY_VERSION_COLUMNS,
+  diffSnapshots,
+  insertHistoryVersion,
+  saveGenerationHistory,
+  getOwnedHistoryEntry,
+  getLatestHistoryVersion,
+  loadRefinementBase
+};
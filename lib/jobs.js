@@ -0,0 +1,183 @@
+// Background generation jobs. A job runs one of the generation handlers with an event sink.
+// Its events are stored in generation_job_events (numbered per job, used as SSE ids for
+// Last-Event-ID replay) and the final event becomes the job result, so clients can reconnect or
+// fetch it from any device. Model output 'chunk' events are only forwarded live and never stored.
+
+const EventEmitter = require('events');
+
+const { supabase } = require('./supabase');
+const { sendSSEMessage, endSSE } = require('./sse');
+const { withoutSecretValues, redactSecretValues } = require('./secrets');
+
+// API key scope each job type needs, the same as its generation route
+const JOB_SCOPES = {
+  'process-code': 'refactor',
+  'generate-custom': 'generate',
+  'optimize-files': 'optimize'
+};
+
+const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+// Request options stored with a job. Anything else in the body (files, package.json, the
+// caller's provider api_key) is not kept.
+const JOB_REQUEST_OPTIONS = [
+  'type',
+  'selectedModel',
+  'projectType',
+  'projectLanguage',
+  'userPrompt',
+  'outputMode',
+  'fixSyntaxErrors',
+  'fixImports',
+  'essentialPackages',
+  'previousGenerationId'
+];
+const JOB_EVENT_POLL_MS = Number(process.env.JOB_EVENT_POLL_MS) || 1000;
+const JOB_HEARTBEAT_MS = 15000;
+const JOB_EVENT_PAGE_SIZE = 1000;
+
+// Jobs running in this process, with their events kept in memory for live listeners
+const activeJobs = new Map();
+
+function writeJobEvent(res, seq, message) {
+  res.write(`${seq ? `id: ${seq}\n` : ''}data: ${JSON.stringify(message)}\n\n`);
+}
+
+function recordJobEvent(job, message) {
+  if (message.type === 'chunk') {
+    job.listeners.forEach(listener => writeJobEvent(listener, null, message));
+    return;
+  }
+
+  const seq = ++job.seq;
+  job.listeners.forEach(listener => writeJobEvent(listener, seq, message));
+
+  // Replayed and stored events never carry secret values: the values the handler redacted before
+  // prompting (res.locals.redaction) are replaced in every event, including restored 'file' events
+  const storedMessage = redactSecretValues(
+    message.type === 'final' ? { ...message, data: withoutSecretValues(message.data) } : message,
+    job.sink.locals.redaction
+  );
+  job.events.push({ seq, message: storedMessage });
+
+  if (message.type === 'final') job.result = storedMessage;
+  if (message.type === 'error') job.error = message.error;
+
+  // Inserts are chained so events are stored in order
+  job.persisted = job.persisted.then(async () => {
+    const { error } = await supabase
+      .from('generation_job_events')
+      .insert([{ job_id: job.id, seq, type: message.type, data: storedMessage }]);
+
+    if (error) {
+      console.log('ERROR: Failed to store job event:', job.id, seq);
+      console.log('Database error:', JSON.stringify(error, null, 2));
+    }
+  });
+}
+
+// Stands in for the SSE response of a generation handler
+function createJobEventSink(job) {
+  const sink = new EventEmitter();
+  sink.writableEnded = false;
+  sink.destroyed = false;
+  sink.locals = {};
+  sink.writeHead = () => sink;
+  sink.write = () => true;
+  sink.end = () => {
+    sink.writableEnded = true;
+  };
+  sink.pushEvent = (message) => recordJobEvent(job, message);
+  return sink;
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('generation_jobs')
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.log('ERROR: Failed to update job:', jobId);
+    console.log('Database error:', JSON.stringify(error, null, 2));
+  }
+}
+
+async function runJob(job, handler, jobRequest) {
+  await updateJob(job.id, { status: 'running', started_at: new Date().toISOString() });
+
+  try {
+    await handler(jobRequest, job.sink);
+  } catch (error) {
+    // Handlers report their own errors; this only catches bugs outside their try blocks
+    console.error('❌ Unexpected error in job:', job.id, error);
+    sendSSEMessage(job.sink, 'error', { error: error.message });
+  }
+
+  // Cancelled handlers return without ending the stream
+  if (job.cancelled && !job.sink.writableEnded) {
+    recordJobEvent(job, { type: 'cancelled', message: 'Job cancelled', timestamp: new Date().toISOString() });
+  }
+  endSSE(job.sink);
+  await job.persisted;
+
+  const status = job.result ? 'completed' : job.cancelled ? 'cancelled' : 'failed';
+  await updateJob(job.id, {
+    status,
+    result: job.result,
+    error: status === 'failed' ? job.error || 'Job ended without a result' : null,
+    last_event_id: job.seq,
+    finished_at: new Date().toISOString()
+  });
+
+  job.listeners.forEach(listener => listener.end());
+  activeJobs.delete(job.id);
+  console.log(`Job ${job.id} (${job.type}) finished: ${status}`);
+}
+
+// Job row owned by the user, or null (other users' jobs are reported as missing)
+async function getOwnedJob(jobId, userEmail, columns) {
+  const { data: job, error } = await supabase
+    .from('generation_jobs')
+    .select(columns)
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') return null;
+    throw error;
+  }
+
+  return job.name === userEmail ? job : null;
+}
+
+async function fetchStoredJobEvents(jobId, afterSeq) {
+  const events = [];
+
+  for (let offset = 0; ; offset += JOB_EVENT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('generation_job_events')
+      .select('seq, data')
+      .eq('job_id', jobId)
+      .gt('seq', afterSeq)
+      .order('seq', { ascending: true })
+      .range(offset, offset + JOB_EVENT_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    events.push(...data);
+    if (data.length < JOB_EVENT_PAGE_SIZE) return events;
+  }
+}
+
+module.exports = {
+  JOB_SCOPES,
+  TERMINAL_JOB_STATUSES,
+  JOB_REQUEST_OPTIONS,
+  JOB_EVENT_POLL_MS,
+  JOB_HEARTBEAT_MS,
+  activeJobs,
+  writeJobEvent,
+  createJobEventSink,
+  runJob,
+  getOwnedJob,
+  fetchStoredJobEvents
+};
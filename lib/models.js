@@ -0,0 +1,732 @@
+// Model provider registry, provider clients, streaming completions and the per-plan fallback chain
+
+const fs = require('fs').promises;
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const OpenAI = require('openai');
+
+const { sendSSEMessage } = require('./sse');
+
+// Initialize OpenAI client for GPT-5 Mini
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+  // Retries are handled by the model fallback chain
+  maxRetries: 0,
+});
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+// Built-in models. Entries from MODEL_REGISTRY_PATH are merged over these by id,
+// so a config file can add new models, change defaults or retire one with "enabled": false
+const DEFAULT_MODEL_REGISTRY = [
+  {
+    id: 'deepseek-r1',
+    label: 'DeepSeek R1',
+    backend: 'openrouter',
+    model: 'deepseek/deepseek-r1-0528:free',
+    plans: ['free'],
+    requiresUserKey: true,
+    contextLength: 163840,
+    params: { temperature: 0.0 },
+    enabled: true
+  },
+  {
+    id: 'gpt5-mini',
+    label: 'GPT-5 Mini',
+    backend: 'openai',
+    model: 'gpt-5-mini',
+    plans: ['pro'],
+    requiresUserKey: false,
+    contextLength: 400000,
+    params: {},
+    enabled: true
+  },
+  {
+    id: 'gemini-2.5-flash',
+    label: 'Gemini 2.5 Flash',
+    backend: 'gemini',
+    model: 'gemini-2.5-flash',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    plans: ['pro'],
+    requiresUserKey: false,
+    contextLength: 1048576,
+    params: { temperature: 0.0 },
+    // Only offered when the server has a Gemini key configured
+    enabled: Boolean(process.env.GEMINI_API_KEY)
+  },
+  {
+    // Self-hosted OpenAI-compatible server (Ollama, llama.cpp, vLLM) so code never leaves the network
+    id: 'local',
+    label: process.env.LOCAL_MODEL_LABEL || 'Local Model',
+    backend: 'openai-compatible',
+    model: process.env.LOCAL_MODEL_NAME || 'llama3.1',
+    baseURL: process.env.LOCAL_MODEL_BASE_URL || 'http://localhost:11434/v1',
+    plans: ['free', 'pro'],
+    requiresUserKey: false,
+    contextLength: Number(process.env.LOCAL_MODEL_CONTEXT_LENGTH) || 8192,
+    params: { temperature: Number(process.env.LOCAL_MODEL_TEMPERATURE) || 0.0 },
+    enabled: Boolean(process.env.LOCAL_MODEL_BASE_URL)
+  }
+];
+
+const SUPPORTED_BACKENDS = ['openai', 'openrouter', 'openai-compatible', 'gemini'];
+
+const AI_SYSTEM_PROMPT = 'You are an expert software development assistant. Always return valid JSON responses as requested.';
+
+// Per-plan fallback order. The requested model is always tried first, then the rest of
+// its plan's chain; disabled models or ones the plan cannot use are skipped
+const DEFAULT_FALLBACK_CHAINS = {
+  free: ['deepseek-r1', 'local'],
+  pro: ['gpt5-mini', 'gemini-2.5-flash', 'local']
+};
+
+const MODEL_MAX_RETRIES = Number(process.env.MODEL_MAX_RETRIES ?? 2);
+const MODEL_RETRY_BASE_DELAY_MS = Number(process.env.MODEL_RETRY_BASE_DELAY_MS ?? 1000);
+
+let modelRegistry = new Map(DEFAULT_MODEL_REGISTRY.map(entry => [entry.id, entry]));
+let fallbackChains = { ...DEFAULT_FALLBACK_CHAINS };
+
+// Server-keyed clients are reused between requests
+const modelClientCache = new Map();
+
+function normalizeModelEntry(entry, existing = {}) {
+  const merged = { ...existing, ...entry };
+
+  if (!merged.id || typeof merged.id !== 'string') {
+    throw new Error('Model registry entry is missing a string "id"');
+  }
+  if (!SUPPORTED_BACKENDS.includes(merged.backend)) {
+    throw new Error(`Model "${merged.id}" has unsupported backend "${merged.backend}". Supported: ${SUPPORTED_BACKENDS.join(', ')}`);
+  }
+  if (!merged.model || typeof merged.model !== 'string') {
+    throw new Error(`Model "${merged.id}" is missing the upstream "model" name`);
+  }
+  if (merged.backend === 'openai-compatible' && !merged.baseURL) {
+    throw new Error(`Model "${merged.id}" uses backend "openai-compatible" and requires a "baseURL"`);
+  }
+
+  if (merged.contextLength !== undefined && !(Number(merged.contextLength) > 0)) {
+    throw new Error(`Model "${merged.id}" has an invalid "contextLength"`);
+  }
+
+  return {
+    label: merged.id,
+    plans: [],
+    requiresUserKey: false,
+    params: {},
+    enabled: true,
+    // Self-hosted servers commonly lack stream usage support and may emit <think> blocks
+    streamUsage: merged.backend === 'openai' || merged.backend === 'openrouter',
+    stripThinking: merged.backend === 'openai-compatible',
+    ...merged,
+    params: { ...(existing.params || {}), ...(entry.params || {}) }
+  };
+}
+
+// Load optional model configuration file. It is either a JSON array of registry entries
+// or an object of the form { "models": [...], "fallbackChains": { "pro": [...] } }
+async function loadModelRegistry() {
+  const registryPath = process.env.MODEL_REGISTRY_PATH;
+  const registry = new Map(DEFAULT_MODEL_REGISTRY.map(entry => [entry.id, normalizeModelEntry(entry)]));
+  let chains = { ...DEFAULT_FALLBACK_CHAINS };
+
+  if (registryPath) {
+    const raw = await fs.readFile(path.resolve(registryPath), 'utf8');
+    const config = JSON.parse(raw);
+    const entries = Array.isArray(config) ? config : config.models || [];
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`Model registry file ${registryPath} must contain a JSON array of models`);
+    }
+
+    for (const entry of entries) {
+      registry.set(entry.id, normalizeModelEntry(entry, registry.get(entry.id)));
+    }
+
+    if (!Array.isArray(config) && config.fallbackChains) {
+      for (const [plan, chain] of Object.entries(config.fallbackChains)) {
+        if (!Array.isArray(chain)) {
+          throw new Error(`Fallback chain for plan "${plan}" must be an array of model ids`);
+        }
+        chains[plan] = chain;
+      }
+    }
+
+    console.log(`Loaded model registry from ${registryPath}`);
+  }
+
+  modelRegistry = registry;
+  fallbackChains = chains;
+  modelClientCache.clear();
+  console.log('Enabled models:', getEnabledModels().map(m => m.id).join(', '));
+}
+
+function getEnabledModels() {
+  return [...modelRegistry.values()].filter(entry => entry.enabled);
+}
+
+function getModelConfig(modelId) {
+  const entry = modelRegistry.get(modelId);
+  return entry && entry.enabled ? entry : null;
+}
+
+function getModelsForPlan(plan) {
+  return getEnabledModels().filter(entry => entry.plans.includes(plan));
+}
+
+function isModelAllowedForPlan(modelConfig, plan) {
+  return modelConfig.plans.includes(plan);
+}
+
+// Public view of a registry entry (never exposes base URLs or key env names)
+function toPublicModel(entry) {
+  return {
+    id: entry.id,
+    label: entry.label,
+    backend: entry.backend,
+    plans: entry.plans,
+    requiresUserKey: entry.requiresUserKey
+  };
+}
+
+function getModelClient(modelConfig, userApiKey = null) {
+  if (modelConfig.backend === 'gemini') {
+    return getGeminiClient(modelConfig, userApiKey);
+  }
+
+  if (modelConfig.requiresUserKey) {
+    if (!userApiKey) {
+      throw new Error(`${modelConfig.label} requires your own API key`);
+    }
+
+    return new OpenAI({
+      baseURL: modelConfig.backend === 'openrouter' ? OPENROUTER_BASE_URL : modelConfig.baseURL,
+      apiKey: userApiKey,
+      maxRetries: 0,
+    });
+  }
+
+  // Default OpenAI models share the global client
+  if (modelConfig.backend === 'openai' && !modelConfig.baseURL && !modelConfig.apiKeyEnv) {
+    return openai;
+  }
+
+  if (!modelClientCache.has(modelConfig.id)) {
+    const baseURL = modelConfig.backend === 'openrouter' ? OPENROUTER_BASE_URL : modelConfig.baseURL;
+    let apiKey;
+
+    if (modelConfig.backend === 'openai-compatible') {
+      // Local servers usually ignore the key, but the OpenAI SDK refuses to start without one
+      apiKey = (modelConfig.apiKeyEnv && process.env[modelConfig.apiKeyEnv]) || 'not-needed';
+    } else {
+      apiKey = process.env[modelConfig.apiKeyEnv || (modelConfig.backend === 'openrouter' ? 'OPENROUTER_API_KEY' : 'OPENAI_API_KEY')];
+    }
+
+    modelClientCache.set(modelConfig.id, new OpenAI({
+      ...(baseURL ? { baseURL } : {}),
+      apiKey,
+      maxRetries: 0,
+    }));
+  }
+
+  return modelClientCache.get(modelConfig.id);
+}
+
+function getGeminiClient(modelConfig, userApiKey = null) {
+  if (modelConfig.requiresUserKey) {
+    if (!userApiKey) {
+      throw new Error(`${modelConfig.label} requires your own API key`);
+    }
+    return new GoogleGenerativeAI(userApiKey);
+  }
+
+  if (!modelClientCache.has(modelConfig.id)) {
+    const apiKey = process.env[modelConfig.apiKeyEnv || 'GEMINI_API_KEY'];
+    if (!apiKey) {
+      throw new Error(`${modelConfig.label} is not configured on this server`);
+    }
+    modelClientCache.set(modelConfig.id, new GoogleGenerativeAI(apiKey));
+  }
+
+  return modelClientCache.get(modelConfig.id);
+}
+
+// options.signal aborts the upstream request; options.streamParser receives every content chunk
+async function callAIModel(prompt, model, res, userPlan = 'pro', apiKey = null, options = {}) {
+  const { signal } = options;
+  const modelConfig = getModelConfig(model);
+
+  if (!modelConfig) {
+    const available = getEnabledModels().map(m => `${m.id} (${m.plans.join('/')})`).join(', ');
+    throw new Error(`Unsupported model: ${model}. Available models: ${available}`);
+  }
+
+  if (!isModelAllowedForPlan(modelConfig, userPlan)) {
+    throw new Error(`${modelConfig.label} is not available on the ${userPlan} plan`);
+  }
+
+  const client = getModelClient(modelConfig, apiKey);
+
+  try {
+    console.log(`Using ${modelConfig.label} (${modelConfig.backend}: ${modelConfig.model}) for ${userPlan} user`);
+
+    const fullResponse = modelConfig.backend === 'gemini'
+      ? await streamGeminiCompletion(client, modelConfig, prompt, res, options)
+      : await streamChatCompletion(client, modelConfig, prompt, res, options);
+
+    console.log(`${modelConfig.label} API call successful`);
+    return fullResponse;
+
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log(`${modelConfig.label} API call aborted by client disconnect`);
+      throw error;
+    }
+
+    console.log(`${modelConfig.label} API call failed:`, error.message);
+
+    if (modelConfig.requiresUserKey) {
+      const keyError = new Error(`${modelConfig.label} API call failed with your API key: ${error.message}`);
+      keyError.status = error.status;
+      throw keyError;
+    }
+    throw error;
+  }
+}
+
+// Rate limits, upstream 5xx and dropped connections are worth retrying on the same model
+function isRetryableModelError(error) {
+  if (error.status) {
+    return error.status === 429 || error.status >= 500;
+  }
+  return /connection|timeout|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|terminated/i.test(`${error.name} ${error.code} ${error.message}`);
+}
+
+function getFallbackCandidates(model, userPlan, apiKey, prompt) {
+  const primary = getModelConfig(model);
+  const chain = fallbackChains[userPlan] || [];
+  const candidates = [model];
+  const promptTokens = estimatePromptTokens(prompt);
+
+  for (const id of chain) {
+    if (candidates.includes(id)) continue;
+
+    const candidate = getModelConfig(id);
+    if (!candidate || !isModelAllowedForPlan(candidate, userPlan)) continue;
+
+    // A caller's own key only works for the provider it was issued by
+    if (candidate.requiresUserKey && !(apiKey && primary && primary.backend === candidate.backend)) continue;
+
+    // Batches are sized for the requested model; a smaller fallback would only reject the request
+    if (candidate.contextLength && promptTokens > candidate.contextLength) continue;
+
+    candidates.push(id);
+  }
+
+  return candidates;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Calls the requested model, retrying transient failures with exponential backoff and then
+// moving down the plan's fallback chain. Resolves with the response and the model that produced it.
+async function callAIModelWithFallback(prompt, model, res, userPlan = 'pro', apiKey = null, options = {}) {
+  const { signal, streamParser } = options;
+  const candidates = getFallbackCandidates(model, userPlan, apiKey, prompt);
+  let lastError = null;
+
+  for (const candidateId of candidates) {
+    const candidate = getModelConfig(candidateId);
+    const candidateKey = candidate && candidate.requiresUserKey ? apiKey : null;
+
+    if (lastError) {
+      sendSSEMessage(res, 'status', {
+        message: `${getModelConfig(model)?.label || model} is unavailable, switching to ${candidate.label}...`,
+        model: candidateId,
+        fallback: true,
+        // Chunks streamed so far belong to the failed attempt
+        resetOutput: true
+      });
+    }
+
+    for (let attempt = 0; attempt <= MODEL_MAX_RETRIES; attempt++) {
+      try {
+        // Files emitted by a failed attempt are superseded (see resetOutput)
+        streamParser?.reset();
+        const aiResponse = await callAIModel(prompt, candidateId, res, userPlan, candidateKey, options);
+
+        sendSSEMessage(res, 'status', {
+          message: `Response generated by ${candidate.label}`,
+          model: candidateId,
+          fallback: candidateId !== model
+        });
+
+        return { aiResponse, model: candidateId };
+
+      } catch (error) {
+        // A disconnected client needs neither retries nor fallbacks
+        if (signal?.aborted) throw error;
+
+        lastError = error;
+
+        if (!isRetryableModelError(error) || attempt === MODEL_MAX_RETRIES) {
+          console.log(`Giving up on ${candidateId} after ${attempt + 1} attempt(s):`, error.message);
+          break;
+        }
+
+        const delay = MODEL_RETRY_BASE_DELAY_MS * 2 ** attempt;
+        console.log(`Retrying ${candidateId} in ${delay}ms (attempt ${attempt + 2} of ${MODEL_MAX_RETRIES + 1})`);
+        sendSSEMessage(res, 'status', {
+          message: `${candidate.label} is busy, retrying in ${Math.ceil(delay / 1000)}s...`,
+          model: candidateId,
+          resetOutput: true
+        });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+// Rough token estimate (~4 characters per token) used for context window checks
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function estimatePromptTokens(prompt) {
+  return estimateTokens(AI_SYSTEM_PROMPT) + estimateTokens(prompt);
+}
+
+// Refuses a prompt that cannot fit the model's context window before anything is sent
+function assertPromptFitsContext(modelConfig, prompt) {
+  if (!modelConfig.contextLength) return;
+
+  const estimatedTokens = estimatePromptTokens(prompt);
+  if (estimatedTokens > modelConfig.contextLength) {
+    throw new Error(`Request is too large for ${modelConfig.label}: about ${estimatedTokens} tokens against a context length of ${modelConfig.contextLength}`);
+  }
+}
+
+// Removes <think>...</think> reasoning blocks from a streamed response.
+// Tags may be split across chunks, so a possible partial tag is held back until the next push.
+function createThinkFilter() {
+  let buffer = '';
+  let inThink = false;
+
+  function drain(final) {
+    let output = '';
+
+    while (buffer) {
+      const tag = inThink ? '</think>' : '<think>';
+      const index = buffer.indexOf(tag);
+
+      if (index !== -1) {
+        if (!inThink) output += buffer.slice(0, index);
+        buffer = buffer.slice(index + tag.length);
+        inThink = !inThink;
+        continue;
+      }
+
+      // Keep a trailing fragment that could be the start of the tag
+      let keep = 0;
+      if (!final) {
+        for (let length = Math.min(tag.length - 1, buffer.length); length > 0; length--) {
+          if (tag.startsWith(buffer.slice(-length))) {
+            keep = length;
+            break;
+          }
+        }
+      }
+
+      if (!inThink) output += buffer.slice(0, buffer.length - keep);
+      buffer = buffer.slice(buffer.length - keep);
+      break;
+    }
+
+    return output;
+  }
+
+  return {
+    push(text) {
+      buffer += text;
+      return drain(false);
+    },
+    flush() {
+      return drain(true);
+    }
+  };
+}
+
+// OpenAI, OpenRouter and any OpenAI-compatible server
+async function streamChatCompletion(client, modelConfig, prompt, res, { signal, streamParser } = {}) {
+  assertPromptFitsContext(modelConfig, prompt);
+
+  const completion = await client.chat.completions.create({
+    ...modelConfig.params,
+    ...(modelConfig.streamUsage ? { stream_options: { include_usage: true } } : {}),
+    model: modelConfig.model,
+    messages: [
+      {
+        role: 'system',
+        content: AI_SYSTEM_PROMPT
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ],
+    stream: true
+  }, { signal });
+
+  const thinkFilter = modelConfig.stripThinking ? createThinkFilter() : null;
+  let fullResponse = '';
+  let usage = null;
+
+  for await (const chunk of completion) {
+    // Usage arrives on a final chunk with no choices, when the server supports it at all
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    // Separate reasoning fields (reasoning_content, reasoning) are intentionally ignored
+    const rawContent = chunk.choices?.[0]?.delta?.content || '';
+    const content = thinkFilter ? thinkFilter.push(rawContent) : rawContent;
+    if (content) {
+      fullResponse += content;
+      sendSSEMessage(res, 'chunk', { content });
+      streamParser?.push(content);
+    }
+  }
+
+  // The SDK ends the stream quietly when it is aborted, which would look like a short answer
+  signal?.throwIfAborted();
+
+  const remaining = thinkFilter ? thinkFilter.flush() : '';
+  if (remaining) {
+    fullResponse += remaining;
+    sendSSEMessage(res, 'chunk', { content: remaining });
+    streamParser?.push(remaining);
+  }
+
+  if (usage) {
+    console.log(`${modelConfig.label} token usage:`, usage);
+  }
+
+  return fullResponse;
+}
+
+// Google Gemini, using JSON response mode so parseAIResponse receives bare JSON
+async function streamGeminiCompletion(client, modelConfig, prompt, res, { signal, streamParser } = {}) {
+  assertPromptFitsContext(modelConfig, prompt);
+
+  const generativeModel = client.getGenerativeModel(
+    {
+      model: modelConfig.model,
+      systemInstruction: AI_SYSTEM_PROMPT,
+      generationConfig: {
+        responseMimeType: 'application/json',
+        ...modelConfig.params
+      }
+    },
+    // baseURL lets a model point at a proxy or a local stub of the Gemini API
+    modelConfig.baseURL ? { baseUrl: modelConfig.baseURL } : undefined
+  );
+
+  const result = await generativeModel.generateContentStream(prompt, { signal });
+  // The stream below reports failures; without this the aggregated response would reject unhandled
+  result.response.catch(() => {});
+
+  let fullResponse = '';
+  for await (const chunk of result.stream) {
+    const content = chunk.text();
+    if (content) {
+      fullResponse += content;
+      sendSSEMessage(res, 'chunk', { content });
+      streamParser?.push(content);
+    }
+  }
+
+  signal?.throwIfAborted();
+
+  return fullResponse;
+}
+
+// Follows the model output as it streams and calls onFile(file, index) as soon as each
+// entry of the top-level "files" array is complete. Text before the first "{" (code fences,
+// prose) is ignored. reset() starts over, e.g. when a fallback model takes over.
+function createStreamingFilesParser(onFile) {
+  let state;
+
+  function reset() {
+    state = {
+      started: false,
+      depth: 0,
+      inString: false,
+      escaped: false,
+      stringBuffer: '',
+      lastString: null,
+      currentKey: null,
+      inFilesArray: false,
+      capture: null,
+      fileIndex: 0
+    };
+  }
+
+  function emitCapturedFile() {
+    try {
+      const file = JSON.parse(state.capture);
+      if (file && typeof file === 'object' && typeof file.path === 'string') {
+        onFile(file, state.fileIndex);
+      }
+    } catch (error) {
+      // Malformed entries are left to the full parse at the end
+      console.log('Streaming parser skipped a malformed file entry:', error.message);
+    }
+    state.fileIndex++;
+    state.capture = null;
+  }
+
+  function push(text) {
+    for (const char of text) {
+      if (!state.started) {
+        if (char !== '{') continue;
+        state.started = true;
+      }
+
+      if (state.capture !== null) {
+        state.capture += char;
+      }
+
+      if (state.inString) {
+        if (state.escaped) {
+          state.escaped = false;
+        } else if (char === '\\') {
+          state.escaped = true;
+        } else if (char === '"') {
+          state.inString = false;
+          state.lastString = state.stringBuffer;
+        } else if (state.depth === 1) {
+          // Only top-level keys need to be remembered
+          state.stringBuffer += char;
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          state.inString = true;
+          state.stringBuffer = '';
+          break;
+        case ':':
+          if (state.depth === 1) state.currentKey = state.lastString;
+          break;
+        case '{':
+        case '[':
+          if (char === '[' && state.depth === 1 && state.currentKey === 'files') {
+            state.inFilesArray = true;
+          } else if (char === '{' && state.inFilesArray && state.depth === 2) {
+            state.capture = '{';
+          }
+          state.depth++;
+          break;
+        case '}':
+        case ']':
+          state.depth--;
+          if (char === '}' && state.inFilesArray && state.depth === 2 && state.capture !== null) {
+            emitCapturedFile();
+          } else if (char === ']' && state.inFilesArray && state.depth === 1) {
+            state.inFilesArray = false;
+          }
+          break;
+      }
+    }
+  }
+
+  reset();
+
+  return {
+    push,
+    reset,
+    get filesEmitted() {
+      return state.fileIndex;
+    }
+  };
+}
+
+function parseAIResponse(aiResponse) {
+  try {
+    let jsonContent = '';
+    
+    // Strategy 1: Look for JSON block between ```json and ```
+    const codeBlockMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
+    if (codeBlockMatch) {
+      jsonContent = codeBlockMatch[1].trim();
+    }
+    
+    // Strategy 2: Look for JSON object starting with { and ending with }
+    if (!jsonContent) {
+      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        jsonContent = jsonMatch[0];
+      }
+    }
+    
+    // Strategy 3: Try to clean the response and extract JSON
+    if (!jsonContent) {
+      let cleaned = aiResponse
+        .replace(/^[\s\S]*?(?=\{)/, '')
+        .replace(/\}[\s\S]*$/, '}')
+        .trim();
+      
+      if (cleaned.startsWith('{') && cleaned.endsWith('}')) {
+        jsonContent = cleaned;
+      }
+    }
+    
+    if (jsonContent) {
+      return JSON.parse(jsonContent);
+    } else {
+      throw new Error('No valid JSON found in AI response');
+    }
+    
+  } catch (parseError) {
+    // Try fallback parsing
+    try {
+      let fixedJson = aiResponse
+        .replace(/^[\s\S]*?(\{)/, '$1')
+        .replace(/(\})[\s\S]*$/, '$1')
+        .replace(/,\s*}/g, '}')
+        .replace(/,\s*]/g, ']')
+        .trim();
+      
+      return JSON.parse(fixedJson);
+    } catch (fallbackError) {
+      throw new Error(`Failed to parse AI response: ${parseError.message}`);
+    }
+  }
+}
+
+module.exports = {
+  AI_SYSTEM_PROMPT,
+  loadModelRegistry,
+  getModelConfig,
+  getModelsForPlan,
+  isModelAllowedForPlan,
+  toPublicModel,
+  callAIModelWithFallback,
+  estimateTokens,
+  streamGeminiCompletion,
+  createStreamingFilesParser,
+  parseAIResponse
+};
@@ -0,0 +1,291 @@
+// Static package usage analysis from imports, package.json scripts and config files
+
+const { builtinModules } = require('module');
+
+const { extractImportSpecifiers, normalizeFilePath } = require('./project-files');
+const { CODE_EXTENSION_PATTERN, getMetadataModules } = require('./code-checks');
+
+// Packages that are kept even when nothing imports them. Patterns may end in '*'.
+// ESSENTIAL_PACKAGES (comma separated) and the request's essentialPackages extend this list.
+const DEFAULT_ESSENTIAL_PACKAGE_RULES = [
+  { category: 'React core', patterns: ['react', 'react-dom', '@types/react', '@types/react-dom'] },
+  { category: 'Next.js framework', patterns: ['next', '@types/next'] },
+  { category: 'TypeScript compiler', patterns: ['typescript'] },
+  { category: 'linting', patterns: ['eslint', '@typescript-eslint/*', 'eslint-*'] },
+  { category: 'code formatting', patterns: ['prettier'] },
+  { category: 'CSS processing', patterns: ['tailwindcss', 'autoprefixer', 'postcss'] },
+  { category: 'build tools', patterns: ['webpack', '@babel/*', 'babel-*'] },
+  { category: 'testing frameworks', patterns: ['jest', '@testing-library/*', '@types/jest'] },
+  { category: 'Node.js types', patterns: ['@types/node'] },
+  { category: 'monorepo tools', patterns: ['turbo', 'lerna'] },
+  { category: 'git hooks', patterns: ['husky', 'lint-staged'] }
+];
+
+// Packages whose command name differs from the package name
+const PACKAGE_BINARIES = {
+  typescript: ['tsc', 'tsserver'],
+  '@angular/cli': ['ng'],
+  '@nestjs/cli': ['nest'],
+  '@vue/cli-service': ['vue-cli-service'],
+  '@babel/cli': ['babel'],
+  'npm-run-all': ['run-s', 'run-p', 'npm-run-all'],
+  'npm-run-all2': ['run-s', 'run-p', 'npm-run-all'],
+  'react-scripts': ['react-scripts'],
+  'ts-node': ['ts-node', 'ts-node-dev'],
+  'ts-node-dev': ['ts-node-dev', 'tsnd'],
+  'http-server': ['http-server', 'hs'],
+  'cross-env': ['cross-env', 'cross-env-shell']
+};
+
+// Files whose string contents reference packages by name (babel presets, jest presets, ...)
+const CONFIG_FILE_PATTERN = /(^|\/)(\.[\w.-]*rc(\.(json|js|cjs|mjs|ya?ml))?|[\w.-]+\.config\.(js|cjs|mjs|ts|json)|tsconfig[\w.-]*\.json|jsconfig\.json)$/;
+const STYLE_FILE_PATTERN = /\.(css|scss|sass|less|styl)$/;
+
+function getEssentialPackageRules(extraPatterns = []) {
+  const configured = (process.env.ESSENTIAL_PACKAGES || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+  const requested = Array.isArray(extraPatterns) ? extraPatterns.filter(pattern => typeof pattern === 'string' && pattern.trim()) : [];
+
+  return [
+    ...DEFAULT_ESSENTIAL_PACKAGE_RULES,
+    ...(configured.length > 0 ? [{ category: 'server configuration', patterns: configured }] : []),
+    ...(requested.length > 0 ? [{ category: 'requested by client', patterns: requested.map(pattern => pattern.trim()) }] : [])
+  ];
+}
+
+// Rule list as shown to the model, e.g. "- react, react-dom (React core)"
+function formatEssentialPackageRules(rules = getEssentialPackageRules()) {
+  return rules.map(rule => `- ${rule.patterns.join(', ')} (${rule.category})`).join('\n  ');
+}
+
+function matchEssentialRule(packageName, rules) {
+  return rules.find(rule => rule.patterns.some(pattern =>
+    pattern.endsWith('*') ? packageName.startsWith(pattern.slice(0, -1)) : packageName === pattern
+  )) || null;
+}
+
+// Package name of a bare module specifier, or null for relative, absolute and builtin modules
+function getPackageName(specifier) {
+  if (typeof specifier !== 'string') return null;
+
+  const cleaned = specifier.trim().replace(/^~/, '').replace(/[?#].*$/, '');
+  if (!cleaned || /^[./]/.test(cleaned) || /^[a-z]+:/i.test(cleaned)) return null;
+
+  const segments = cleaned.split('/');
+  const name = cleaned.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  if (!/^(@[\w.-]+\/)?[\w.-]+$/.test(name) || builtinModules.includes(name)) return null;
+
+  return name;
+}
+
+// @types/foo belongs to foo and @types/scope__name to @scope/name
+function getTypedPackageName(typesPackage) {
+  const name = typesPackage.slice('@types/'.length);
+  return name.includes('__') ? `@${name.replace('__', '/')}` : name;
+}
+
+function extractStyleImportSpecifiers(content) {
+  return [...(content || '').matchAll(/@(?:import|use|forward)\s+(?:url\()?\s*['"]([^'"]+)['"]/g)].map(match => match[1]);
+}
+
+// Words in package.json scripts that can name a package: commands, arguments and `-r pkg/register`
+function getScriptTokens(scripts) {
+  const tokens = new Set();
+  if (!scripts || typeof scripts !== 'object') return tokens;
+
+  for (const command of Object.values(scripts)) {
+    if (typeof command !== 'string') continue;
+    command.split(/[\s;&|()'"=]+/).filter(Boolean).forEach(token => tokens.add(token));
+  }
+
+  return tokens;
+}
+
+function isReferencedInText(packageName, text) {
+  const escaped = packageName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`['"\`]${escaped}(?:/[^'"\`]*)?['"\`]`).test(text);
+}
+
+// Works out which dependencies in package.json are used by the project after the generation
+// is applied: generated files, originals that are neither rewritten nor deleted, and files only
+// known from metadata (through their import list). A package counts as used when it is imported,
+// run from a script or named in a config file. Packages matching an essential rule are kept.
+// Files from metadata without import information make the result low-confidence: such packages
+// are still reported but no uninstall command is generated for them.
+function analyzePackageUsage({ files = [], originalFiles = [], deletedPaths = [], packageJson, allFilesMetadata, essentialPackages }) {
+  const deleted = new Set(deletedPaths.map(normalizeFilePath));
+  const contents = new Map();
+
+  for (const file of originalFiles) {
+    const filePath = normalizeFilePath(file.path);
+    if (!deleted.has(filePath)) contents.set(filePath, file.content);
+  }
+  for (const file of files) {
+    contents.set(normalizeFilePath(file.path), file.content);
+  }
+
+  const importedPackages = new Set();
+  const configTexts = [];
+  let filesWithoutImportInfo = 0;
+
+  for (const [filePath, content] of contents) {
+    if (typeof content !== 'string') continue;
+
+    const specifiers = STYLE_FILE_PATTERN.test(filePath)
+      ? extractStyleImportSpecifiers(content)
+      : [
+          ...extractImportSpecifiers(content),
+          ...[...content.matchAll(/\/\/\/\s*<reference\s+types=['"]([^'"]+)['"]/g)].map(match => `@types/${match[1]}`)
+        ];
+    // Webpack-style loader chains: 'style-loader!css-loader!./file.css'
+    specifiers.flatMap(specifier => specifier.split('!')).forEach(specifier => {
+      const packageName = getPackageName(specifier);
+      if (packageName) importedPackages.add(packageName);
+    });
+
+    if (CONFIG_FILE_PATTERN.test(filePath)) configTexts.push(content);
+  }
+
+  for (const [filePath, metadata] of getMetadataModules(allFilesMetadata)) {
+    if (contents.has(filePath) || deleted.has(filePath)) continue;
+
+    if (!metadata.imports) {
+      if (CODE_EXTENSION_PATTERN.test(filePath)) filesWithoutImportInfo++;
+      continue;
+    }
+    metadata.imports.forEach(specifier => {
+      const packageName = getPackageName(specifier);
+      if (packageName) importedPackages.add(packageName);
+    });
+  }
+
+  // Tool settings kept in package.json itself (eslintConfig, jest, babel, prettier, ...)
+  const { dependencies = {}, devDependencies = {}, scripts = {}, ...packageSettings } = packageJson || {};
+  configTexts.push(JSON.stringify(packageSettings));
+  const scriptTokens = getScriptTokens(scripts);
+  const scriptPackages = new Set([...scriptTokens].map(getPackageName).filter(Boolean));
+
+  const isUsed = (packageName) => {
+    if (importedPackages.has(packageName) || scriptPackages.has(packageName)) return 'imported';
+
+    const binaries = PACKAGE_BINARIES[packageName] || [packageName.split('/').pop()];
+    if (binaries.some(binary => scriptTokens.has(binary))) return 'script';
+
+    if (configTexts.some(text => isReferencedInText(packageName, text))) return 'config';
+
+    return null;
+  };
+
+  const rules = getEssentialPackageRules(essentialPackages);
+  const declared = [
+    ...Object.keys(dependencies || {}).map(name => ({ name, type: 'dependency' })),
+    ...Object.keys(devDependencies || {}).map(name => ({ name, type: 'devDependency' }))
+  ];
+  const usage = new Map(declared.map(pkg => [pkg.name, isUsed(pkg.name)]));
+
+  // Type packages follow the package they describe
+  for (const pkg of declared) {
+    if (!usage.get(pkg.name) && pkg.name.startsWith('@types/')) {
+      const typedPackage = getTypedPackageName(pkg.name);
+      if (usage.get(typedPackage) || importedPackages.has(typedPackage)) usage.set(pkg.name, 'types');
+    }
+  }
+
+  const confidence = filesWithoutImportInfo > 0 ? 'low' : 'high';
+  const unusedPackages = [];
+  const essentialPackagesKept = [];
+  const statuses = {};
+
+  for (const pkg of declared) {
+    if (usage.get(pkg.name)) {
+      statuses[pkg.name] = 'used';
+      continue;
+    }
+
+    const rule = matchEssentialRule(pkg.name, rules);
+    if (rule) {
+      statuses[pkg.name] = 'essential';
+      essentialPackagesKept.push({ name: pkg.name, type: pkg.type, category: rule.category });
+      continue;
+    }
+
+    statuses[pkg.name] = 'unused';
+    unusedPackages.push({
+      name: pkg.name,
+      type: pkg.type,
+      reason: confidence === 'high'
+        ? 'Not imported, run from a script or referenced in config anywhere in the project'
+        : `Not referenced in the analyzed files; ${filesWithoutImportInfo} project file(s) had no import information`,
+      confidence
+    });
+  }
+
+  const declaredNames = new Set(declared.map(pkg => pkg.name));
+  const undeclaredPackages = [...importedPackages].filter(name => !declaredNames.has(name)).sort();
+
+  return {
+    unusedPackages,
+    essentialPackagesKept,
+    undeclaredPackages,
+    statuses,
+    filesAnalyzed: contents.size,
+    filesWithoutImportInfo,
+    totalDependencies: Object.keys(dependencies || {}).length,
+    totalDevDependencies: Object.keys(devDependencies || {}).length
+  };
+}
+
+function createUninstallCommands(unusedPackages) {
+  const removable = unusedPackages.filter(pkg => pkg.confidence !== 'low');
+  const dependencies = removable.filter(pkg => pkg.type === 'dependency').map(pkg => pkg.name);
+  const devDependencies = removable.filter(pkg => pkg.type === 'devDependency').map(pkg => pkg.name);
+
+  return [
+    ...(dependencies.length > 0 ? [`npm uninstall ${dependencies.join(' ')}`] : []),
+    ...(devDependencies.length > 0 ? [`npm uninstall --save-dev ${devDependencies.join(' ')}`] : [])
+  ];
+}
+
+// Replaces the model's package suggestions with the static analysis. The model's list is kept
+// under packageAnalysis.modelOpinion, each entry tagged with what the static analysis found.
+function applyPackageAnalysis(parsedResponse, { originalFiles, packageJson, allFilesMetadata, essentialPackages }) {
+  const analysis = analyzePackageUsage({
+    files: parsedResponse.files,
+    originalFiles,
+    deletedPaths: [...(parsedResponse.originalFilesToDelete || []), ...(parsedResponse.additionalFilesToDelete || [])],
+    packageJson,
+    allFilesMetadata,
+    essentialPackages
+  });
+
+  const modelSuggestions = (parsedResponse.unusedPackages || []).map(pkg => ({
+    ...pkg,
+    staticResult: analysis.statuses[pkg.name] || 'not-declared'
+  }));
+
+  parsedResponse.packageAnalysis = {
+    source: 'static',
+    totalDependencies: analysis.totalDependencies,
+    totalDevDependencies: analysis.totalDevDependencies,
+    unusedPackagesFound: analysis.unusedPackages.length,
+    essentialPackagesKept: analysis.essentialPackagesKept.length,
+    essentialPackages: analysis.essentialPackagesKept,
+    undeclaredPackages: analysis.undeclaredPackages,
+    filesAnalyzed: analysis.filesAnalyzed,
+    filesWithoutImportInfo: analysis.filesWithoutImportInfo,
+    modelOpinion: {
+      unusedPackages: modelSuggestions,
+      agreed: modelSuggestions.filter(pkg => pkg.staticResult === 'unused').map(pkg => pkg.name),
+      disputed: modelSuggestions.filter(pkg => pkg.staticResult !== 'unused').map(pkg => pkg.name)
+    }
+  };
+  parsedResponse.unusedPackages = analysis.unusedPackages;
+  parsedResponse.npmUninstallCommands = createUninstallCommands(analysis.unusedPackages);
+
+  return parsedResponse;
+}
+
+module.exports = {
+  getEssentialPackageRules,
+  formatEssentialPackageRules,
+  applyPackageAnalysis
+};
@@ -0,0 +1,127 @@
+// Patch output mode: generated files are returned as unified diffs against the originals
+
+const { createTwoFilesPatch, applyPatch } = require('diff');
+
+const { normalizeFilePath, uniqueStrings } = require('./project-files');
+
+// 'files' returns complete file contents, 'patch' returns unified diffs against the originals
+const OUTPUT_MODES = ['files', 'patch'];
+
+function createPatchModeNotice() {
+  return `
+
+**PATCH OUTPUT MODE:**
+Your files are turned into unified diffs against the originals on the server, so they can be reviewed line by line.
+- Still return the COMPLETE content of every file you include
+- Keep every line you do not need to change exactly as it is (same formatting, order, quotes and comments)
+- Existing files you do not change may be left out of "files"; do not list them in any delete array
+- Only list a file in a delete array when it must really be removed from the project`;
+}
+
+function createFilePatch(filePath, original, content) {
+  return createTwoFilesPatch(
+    original === null ? '/dev/null' : `a/${filePath}`,
+    content === null ? '/dev/null' : `b/${filePath}`,
+    original ?? '',
+    content ?? '',
+    undefined,
+    undefined,
+    { context: 3 }
+  );
+}
+
+// Generated file with its diff in place of the full content
+function toPatchFile(file, originalsByPath) {
+  const filePath = normalizeFilePath(file.path);
+  const original = originalsByPath.has(filePath) ? originalsByPath.get(filePath) : null;
+  const { content, ...rest } = file;
+
+  return {
+    ...rest,
+    path: filePath,
+    status: original === null ? 'added' : original === content ? 'unchanged' : 'modified',
+    patch: createFilePatch(filePath, original, content)
+  };
+}
+
+function getOriginalsByPath(originalFiles) {
+  return new Map((originalFiles || []).map(file => [normalizeFilePath(file.path), String(file.content ?? '')]));
+}
+
+// Maps streamed 'file' events to what the final event will contain for the output mode
+function createOutputFileMapper(outputMode, originalFiles) {
+  if (outputMode !== 'patch') return file => file;
+
+  const originalsByPath = getOriginalsByPath(originalFiles);
+  return file => toPatchFile(file, originalsByPath);
+}
+
+// Replaces file contents with unified diffs. Rewritten originals become modifications instead of
+// delete-and-recreate, unchanged files are listed in unchangedFiles, and originals that are still
+// deleted get a deletion patch. Every patch is applied to its original and must reproduce the
+// generated content; when it does not, the file keeps its full content and the failure is reported.
+function applyPatchOutput(parsedResponse, originalFiles) {
+  const originalsByPath = getOriginalsByPath(originalFiles);
+  const generatedPaths = new Set(parsedResponse.files.map(file => normalizeFilePath(file.path)));
+  const deleteRequested = [...(parsedResponse.originalFilesToDelete || []), ...(parsedResponse.additionalFilesToDelete || [])].map(normalizeFilePath);
+
+  const files = [];
+  const unchangedFiles = [];
+  const failed = [];
+
+  const addPatch = (entry, original, expected, fullFile) => {
+    const applied = applyPatch(original ?? '', entry.patch);
+    if (applied === expected) {
+      files.push(entry);
+    } else {
+      failed.push({ path: entry.path, error: 'Patch does not apply cleanly to the original' });
+      files.push({ ...fullFile, status: entry.status, patchError: 'Patch does not apply cleanly to the original' });
+    }
+  };
+
+  for (const file of parsedResponse.files) {
+    const filePath = normalizeFilePath(file.path);
+    const original = originalsByPath.has(filePath) ? originalsByPath.get(filePath) : null;
+
+    if (original !== null && original === file.content) {
+      unchangedFiles.push(filePath);
+      continue;
+    }
+    addPatch(toPatchFile(file, originalsByPath), original, file.content, file);
+  }
+
+  const deletedOriginals = uniqueStrings(deleteRequested.filter(filePath => originalsByPath.has(filePath) && !generatedPaths.has(filePath)));
+  for (const filePath of deletedOriginals) {
+    const original = originalsByPath.get(filePath);
+    addPatch(
+      { path: filePath, status: 'deleted', patch: createFilePatch(filePath, original, null) },
+      original,
+      '',
+      { path: filePath, content: '' }
+    );
+  }
+
+  parsedResponse.files = files;
+  parsedResponse.unchangedFiles = uniqueStrings([...(parsedResponse.unchangedFiles || []), ...unchangedFiles]);
+  parsedResponse.originalFilesToDelete = deletedOriginals;
+  // Deletions of files the server has not seen cannot be diffed and stay a plain list
+  parsedResponse.additionalFilesToDelete = uniqueStrings(deleteRequested.filter(filePath => !originalsByPath.has(filePath) && !generatedPaths.has(filePath)));
+  parsedResponse.patch = files.filter(file => file.patch && !file.patchError).map(file => file.patch).join('');
+  parsedResponse.patchCheck = {
+    totalPatches: files.length,
+    appliedCleanly: files.length - failed.length,
+    failed,
+    summary: `${files.length - failed.length} of ${files.length} patches apply cleanly`
+  };
+
+  return parsedResponse;
+}
+
+module.exports = {
+  OUTPUT_MODES,
+  createPatchModeNotice,
+  createFilePatch,
+  getOriginalsByPath,
+  createOutputFileMapper,
+  applyPatchOutput
+};
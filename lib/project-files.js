@@ -0,0 +1,62 @@
+// Project file paths and the relative imports between files
+
+const path = require('path');
+
+const RESOLVABLE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json'];
+
+// Module specifiers from import/export-from, require() and dynamic import()
+function extractImportSpecifiers(content) {
+  const specifiers = [];
+  const patterns = [
+    /(?:^|[^\w$.])import\s+(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"]+)['"]/g,
+    /(?:^|[^\w$.])export\s+(?:\*|\{[^}]*\}|\*\s+as\s+[\w$]+)\s+from\s+['"]([^'"]+)['"]/g,
+    /(?:^|[^\w$.])require\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /(?:^|[^\w$.])import\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+  ];
+
+  for (const pattern of patterns) {
+    for (const match of (content || '').matchAll(pattern)) {
+      specifiers.push(match[1]);
+    }
+  }
+
+  return [...new Set(specifiers)];
+}
+
+function normalizeFilePath(filePath) {
+  return path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+// Resolve a relative specifier against the known project paths (extensions and index files)
+function resolveRelativeImport(fromPath, specifier, knownPaths) {
+  if (!specifier.startsWith('.')) return null;
+
+  const base = normalizeFilePath(path.posix.join(path.posix.dirname(normalizeFilePath(fromPath)), specifier));
+  const candidates = [base];
+
+  for (const extension of RESOLVABLE_EXTENSIONS) {
+    candidates.push(base + extension);
+  }
+  for (const extension of RESOLVABLE_EXTENSIONS) {
+    candidates.push(`${base}/index${extension}`);
+  }
+
+  // TypeScript projects import compiled .js names that map to .ts sources
+  if (/\.(m|c)?jsx?$/.test(base)) {
+    const withoutExtension = base.replace(/\.(m|c)?jsx?$/, '');
+    candidates.push(`${withoutExtension}.ts`, `${withoutExtension}.tsx`);
+  }
+
+  return candidates.find(candidate => knownPaths.has(candidate)) || null;
+}
+
+function uniqueStrings(values) {
+  return [...new Set(values.filter(value => typeof value === 'string'))];
+}
+
+module.exports = {
+  extractImportSpecifiers,
+  normalizeFilePath,
+  resolveRelativeImport,
+  uniqueStrings
+};
@@ -0,0 +1,233 @@
+// Per-file project metadata (exports, imports, functions, components, hooks) with a content-hash cache
+
+const crypto = require('crypto');
+
+const { normalizeFilePath } = require('./project-files');
+const { getParserPlugins, parseModule, analyzeModule } = require('./code-checks');
+
+// Bumped whenever the shape of a file entry changes, so cached entries are not reused
+const PROJECT_METADATA_VERSION = 1;
+const METADATA_CACHE_MAX_ENTRIES = Number(process.env.METADATA_CACHE_MAX_ENTRIES) || 5000;
+
+// Per-file metadata keyed by content hash and parser settings, shared between requests.
+// A Map keeps insertion order, so the first key is always the least recently used one.
+const projectMetadataCache = new Map();
+
+const AST_SKIP_KEYS = new Set(['loc', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function walkAst(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (AST_SKIP_KEYS.has(key)) continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => walkAst(child, visit));
+    } else if (value && typeof value === 'object') {
+      walkAst(value, visit);
+    }
+  }
+}
+
+function containsJSX(node) {
+  let found = false;
+  walkAst(node, child => {
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') found = true;
+  });
+  return found;
+}
+
+const isHookName = (name) => /^use[A-Z0-9]/.test(name);
+const isComponentName = (name) => /^[A-Z]/.test(name);
+
+// memo(() => ...), React.forwardRef(function ...) and similar wrappers
+function unwrapComponentFactory(node) {
+  if (node?.type !== 'CallExpression') return { node, wrapped: false };
+
+  const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+  if (!['memo', 'forwardRef', 'observer'].includes(callee?.name)) return { node, wrapped: false };
+
+  return { node: node.arguments[0], wrapped: true };
+}
+
+// Top-level declarations of a module sorted into functions, components and custom hooks
+function collectDeclarations(ast) {
+  const functions = [];
+  const components = [];
+  const hooks = [];
+
+  const addFunction = (name, node, wrapped = false) => {
+    if (!name) return;
+    if (isHookName(name)) hooks.push(name);
+    else if (isComponentName(name) && (wrapped || containsJSX(node))) components.push(name);
+    else functions.push(name);
+  };
+
+  const addDeclaration = (declaration) => {
+    if (!declaration) return;
+
+    switch (declaration.type) {
+      case 'FunctionDeclaration':
+        addFunction(declaration.id?.name, declaration);
+        break;
+      case 'ClassDeclaration': {
+        const superName = declaration.superClass?.type === 'MemberExpression'
+          ? declaration.superClass.property.name
+          : declaration.superClass?.name;
+        if (declaration.id && (['Component', 'PureComponent'].includes(superName) || containsJSX(declaration))) {
+          components.push(declaration.id.name);
+        }
+        break;
+      }
+      case 'VariableDeclaration':
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type !== 'Identifier') continue;
+
+          const { node, wrapped } = unwrapComponentFactory(declarator.init);
+          if (node && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type)) {
+            addFunction(declarator.id.name, node, wrapped);
+          }
+        }
+        break;
+    }
+  };
+
+  for (const node of ast.program.body) {
+    if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      addDeclaration(node.declaration);
+    } else {
+      addDeclaration(node);
+    }
+  }
+
+  return { functions, components, hooks };
+}
+
+// Names of hooks called anywhere in the module (useState, React.useEffect, useCustom, ...)
+function collectHookCalls(ast) {
+  const hooksUsed = new Set();
+
+  walkAst(ast.program, node => {
+    if (node.type !== 'CallExpression') return;
+
+    const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+    if (callee?.type === 'Identifier' && isHookName(callee.name)) hooksUsed.add(callee.name);
+  });
+
+  return [...hooksUsed];
+}
+
+// CommonJS export names that can be read statically: exports.x = ..., module.exports = { x, y }.
+// complete is false when module.exports is assigned something whose keys are not visible.
+function collectCommonJSExports(ast) {
+  const names = [];
+  let complete = true;
+
+  for (const node of ast.program.body) {
+    const expression = node.type === 'ExpressionStatement' ? node.expression : null;
+    if (expression?.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') continue;
+
+    const target = expression.left;
+    const isModuleExports = target.object.type === 'Identifier' && target.object.name === 'module' && target.property.name === 'exports';
+
+    if (isModuleExports) {
+      if (expression.right.type === 'ObjectExpression') {
+        expression.right.properties.forEach(property => {
+          if (property.type === 'SpreadElement' || property.computed) complete = false;
+          else names.push(property.key.name ?? property.key.value);
+        });
+      } else {
+        complete = false;
+      }
+      names.push('default');
+    } else if (
+      (target.object.type === 'Identifier' && target.object.name === 'exports') ||
+      (target.object.type === 'MemberExpression' && target.object.object.name === 'module' && target.object.property.name === 'exports')
+    ) {
+      names.push(target.property.name ?? target.property.value);
+    }
+  }
+
+  return { names: names.filter(Boolean), complete };
+}
+
+function extractFileMetadata(content, filePath) {
+  const ast = parseModule(content, filePath);
+  if (!ast) {
+    return { parsed: false, exports: [], imports: [], functions: [], components: [], hooks: [], hooksUsed: [], hasDynamicExports: false };
+  }
+
+  const moduleInfo = analyzeModule(content, filePath, ast);
+  const commonJS = collectCommonJSExports(ast);
+  const exports = new Set([...moduleInfo.exports, ...commonJS.names]);
+
+  return {
+    parsed: true,
+    exports: [...exports],
+    imports: moduleInfo.imports.map(entry => ({ source: entry.source, names: entry.names })),
+    ...collectDeclarations(ast),
+    hooksUsed: collectHookCalls(ast),
+    // export * and module.exports = <expression> leave the export list incomplete
+    hasDynamicExports: !commonJS.complete || moduleInfo.exportAllSources.length > 0 ||
+      (moduleInfo.hasDynamicExports && commonJS.names.length === 0) ||
+      ast.program.body.some(node => node.type === 'TSExportAssignment')
+  };
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function getCachedFileMetadata(content, filePath, stats) {
+  const hash = hashContent(content);
+  const plugins = getParserPlugins(filePath);
+  const cacheKey = `${PROJECT_METADATA_VERSION}:${hash}:${plugins ? plugins.map(plugin => [].concat(plugin)[0]).join(',') : 'none'}`;
+
+  let metadata = projectMetadataCache.get(cacheKey);
+  if (metadata) {
+    stats.hits++;
+    projectMetadataCache.delete(cacheKey);
+  } else {
+    stats.misses++;
+    metadata = extractFileMetadata(content, filePath);
+  }
+
+  projectMetadataCache.set(cacheKey, metadata);
+  if (projectMetadataCache.size > METADATA_CACHE_MAX_ENTRIES) {
+    projectMetadataCache.delete(projectMetadataCache.keys().next().value);
+  }
+
+  return { hash, ...metadata };
+}
+
+// Normalised metadata for a set of project files:
+// { version, files: [{ path, hash, parsed, exports, imports: [{ source, names }], functions,
+//   components, hooks, hooksUsed, hasDynamicExports }] }
+// Non-code files are listed with parsed: false so cross-reference checks still know they exist.
+function buildProjectMetadata(files, stats = { hits: 0, misses: 0 }) {
+  const entries = (files || [])
+    .filter(file => file && typeof file.path === 'string' && typeof file.content === 'string')
+    .map(file => ({ path: normalizeFilePath(file.path), ...getCachedFileMetadata(file.content, file.path, stats) }));
+
+  return { version: PROJECT_METADATA_VERSION, files: entries };
+}
+
+function hasProjectMetadata(allFilesMetadata) {
+  if (!allFilesMetadata || typeof allFilesMetadata !== 'object') return false;
+  if (Array.isArray(allFilesMetadata)) return allFilesMetadata.length > 0;
+  if (Array.isArray(allFilesMetadata.files)) return allFilesMetadata.files.length > 0;
+  return Object.keys(allFilesMetadata).length > 0;
+}
+
+// Client metadata wins when sent; otherwise it is built from the request files
+function resolveProjectMetadata(allFilesMetadata, files) {
+  return hasProjectMetadata(allFilesMetadata) ? allFilesMetadata : buildProjectMetadata(files);
+}
+
+module.exports = {
+  buildProjectMetadata,
+  hasProjectMetadata,
+  resolveProjectMetadata
+};
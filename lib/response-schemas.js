@@ -0,0 +1,298 @@
+// JSON schemas for model responses, normalisation of common omissions and one bounded repair pass
+
+const Ajv = require('ajv');
+
+const { sendSSEMessage } = require('./sse');
+const { callAIModelWithFallback, createStreamingFilesParser, parseAIResponse } = require('./models');
+
+const ajv = new Ajv({ allErrors: true });
+
+const stringArraySchema = { type: 'array', items: { type: 'string' } };
+const secretsSchema = { type: 'object', additionalProperties: { type: 'string' } };
+
+// Mirrors the RESPONSE FORMAT in createRefactoringPrompt
+const refactorResponseSchema = {
+  type: 'object',
+  required: ['files', 'changes_summary', 'secrets', 'totalFiles', 'unusedPackages', 'npmUninstallCommands', 'originalFilesToDelete'],
+  properties: {
+    projectType: { type: 'string' },
+    language: { type: 'string' },
+    timestamp: { type: 'string' },
+    totalFiles: { type: 'number' },
+    totalWords: { type: 'number' },
+    changes_summary: { type: 'string' },
+    secrets: secretsSchema,
+    packageAnalysis: {
+      type: 'object',
+      properties: {
+        totalDependencies: { type: 'number' },
+        totalDevDependencies: { type: 'number' },
+        unusedPackagesFound: { type: 'number' },
+        essentialPackagesKept: { type: 'number' }
+      }
+    },
+    unusedPackages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          type: { enum: ['dependency', 'devDependency'] },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    npmUninstallCommands: stringArraySchema,
+    originalFilesToDelete: stringArraySchema,
+    additionalFilesToDelete: stringArraySchema,
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content', 'isNew'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+          isNew: { type: 'boolean' },
+          isRewritten: { type: 'boolean' },
+          changes: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Mirrors the RESPONSE FORMAT in createCustomGenerationPrompt
+const customResponseSchema = {
+  type: 'object',
+  required: ['files', 'changes_summary', 'secrets', 'totalFiles', 'npmInstallCommands', 'originalFilesToDelete', 'unchangedFiles'],
+  properties: {
+    projectType: { type: 'string' },
+    language: { type: 'string' },
+    timestamp: { type: 'string' },
+    totalFiles: { type: 'number' },
+    totalWords: { type: 'number' },
+    changes_summary: { type: 'string' },
+    secrets: secretsSchema,
+    npmInstallCommands: stringArraySchema,
+    originalFilesToDelete: stringArraySchema,
+    unchangedFiles: stringArraySchema,
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content', 'isNew', 'isRewritten'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+          isNew: { type: 'boolean' },
+          isRewritten: { type: 'boolean' },
+          changes: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Mirrors the RETURN JSON in createOptimizationPrompt
+const optimizeResponseSchema = {
+  type: 'object',
+  required: ['files', 'optimization_summary', 'totalFilesOptimized', 'recommendations'],
+  properties: {
+    projectType: { type: 'string' },
+    language: { type: 'string' },
+    timestamp: { type: 'string' },
+    totalFilesOptimized: { type: 'number' },
+    optimization_summary: { type: 'string' },
+    recommendations: stringArraySchema,
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' },
+          improvements: stringArraySchema,
+          performanceGains: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Targeted fix passes only return the corrected files
+const fixResponseSchema = {
+  type: 'object',
+  required: ['files'],
+  properties: {
+    files: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          content: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const responseSchemas = {
+  refactor: refactorResponseSchema,
+  custom: customResponseSchema,
+  optimize: optimizeResponseSchema,
+  fix: fixResponseSchema
+};
+
+const responseValidators = Object.fromEntries(
+  Object.entries(responseSchemas).map(([mode, schema]) => [mode, ajv.compile(schema)])
+);
+
+const MAX_REPAIR_ATTEMPTS = 1;
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Fills in fields the model commonly leaves out so that only real problems fail validation
+function normalizeAIResponse(response, mode) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return response;
+  }
+
+  const normalized = { ...response };
+
+  if (!Array.isArray(normalized.files)) {
+    normalized.files = [];
+  }
+
+  if (mode === 'fix') {
+    return normalized;
+  }
+
+  normalized.files = normalized.files.map(file => {
+    if (!file || typeof file !== 'object') return file;
+
+    if (mode === 'optimize') {
+      return {
+        ...file,
+        improvements: file.improvements ?? [],
+        performanceGains: file.performanceGains ?? ''
+      };
+    }
+
+    return {
+      ...file,
+      isNew: file.isNew ?? false,
+      isRewritten: file.isRewritten ?? (mode === 'refactor' && !file.isNew),
+      changes: file.changes ?? ''
+    };
+  });
+
+  if (!normalized.timestamp) {
+    normalized.timestamp = new Date().toISOString();
+  }
+
+  if (mode === 'optimize') {
+    if (typeof normalized.totalFilesOptimized !== 'number') normalized.totalFilesOptimized = normalized.files.length;
+    if (typeof normalized.optimization_summary !== 'string') normalized.optimization_summary = '';
+    if (!Array.isArray(normalized.recommendations)) normalized.recommendations = [];
+    return normalized;
+  }
+
+  if (typeof normalized.totalFiles !== 'number') normalized.totalFiles = normalized.files.length;
+  if (typeof normalized.totalWords !== 'number') {
+    normalized.totalWords = normalized.files.reduce((sum, file) => sum + countWords(typeof file?.content === 'string' ? file.content : ''), 0);
+  }
+  if (typeof normalized.changes_summary !== 'string') normalized.changes_summary = '';
+  if (!normalized.secrets || typeof normalized.secrets !== 'object' || Array.isArray(normalized.secrets)) normalized.secrets = {};
+  if (!Array.isArray(normalized.originalFilesToDelete)) normalized.originalFilesToDelete = [];
+
+  if (mode === 'refactor') {
+    if (!Array.isArray(normalized.unusedPackages)) normalized.unusedPackages = [];
+    if (!Array.isArray(normalized.npmUninstallCommands)) normalized.npmUninstallCommands = [];
+    if (!Array.isArray(normalized.additionalFilesToDelete)) normalized.additionalFilesToDelete = [];
+  } else {
+    if (!Array.isArray(normalized.npmInstallCommands)) normalized.npmInstallCommands = [];
+    if (!Array.isArray(normalized.unchangedFiles)) normalized.unchangedFiles = [];
+  }
+
+  return normalized;
+}
+
+// Parses, normalises and validates a raw model response for a mode (refactor/custom/optimize).
+// Returns { response, errors }; errors is empty when the response is usable.
+function validateAIResponse(aiResponse, mode) {
+  let parsed;
+
+  try {
+    parsed = parseAIResponse(aiResponse);
+  } catch (error) {
+    return { response: null, errors: [error.message] };
+  }
+
+  const response = normalizeAIResponse(parsed, mode);
+  const validate = responseValidators[mode];
+
+  if (!validate(response)) {
+    return {
+      response,
+      errors: validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`)
+    };
+  }
+
+  return { response, errors: [] };
+}
+
+function createRepairPrompt(aiResponse, errors, mode) {
+  return `Your previous response could not be used because it is not valid JSON for the required format.
+
+**VALIDATION ERRORS:**
+${errors.map(error => `- ${error}`).join('\n')}
+
+**REQUIRED JSON SCHEMA:**
+${JSON.stringify(responseSchemas[mode], null, 2)}
+
+**YOUR PREVIOUS RESPONSE:**
+${aiResponse}
+
+**INSTRUCTIONS:**
+- Return the SAME content, corrected so that it is a single valid JSON object matching the schema
+- Fix only what the errors describe; do not change file contents otherwise
+- Return ONLY the JSON object, with no markdown fences or commentary`;
+}
+
+// Calls the model and returns a schema-valid response, sending one bounded repair request
+// back to the model (with the validation errors) when the first answer is unusable.
+async function generateValidatedResponse({ prompt, mode, selectedModel, res, userPlan, apiKey, signal, onFile }) {
+  const streamParser = onFile ? createStreamingFilesParser(onFile) : null;
+  let { aiResponse, model } = await callAIModelWithFallback(prompt, selectedModel, res, userPlan, apiKey, { signal, streamParser });
+  let { response, errors } = validateAIResponse(aiResponse, mode);
+
+  for (let attempt = 1; errors.length > 0 && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.log(`Response from ${model} failed validation (${errors.length} errors), requesting repair`);
+    sendSSEMessage(res, 'status', {
+      message: 'AI response was not in the expected format. Asking the model to repair it...',
+      validationErrors: errors.slice(0, 20),
+      resetOutput: true
+    });
+
+    // The repair goes to the model that produced the broken answer
+    ({ aiResponse, model } = await callAIModelWithFallback(createRepairPrompt(aiResponse, errors, mode), model, res, userPlan, apiKey, { signal, streamParser }));
+    ({ response, errors } = validateAIResponse(aiResponse, mode));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`AI response failed validation: ${errors.slice(0, 5).join('; ')}`);
+  }
+
+  return { parsedResponse: response, answeredModel: model };
+}
+
+module.exports = {
+  generateValidatedResponse
+};
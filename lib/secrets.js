@@ -0,0 +1,265 @@
+// Hardcoded secret detection, redaction before prompting and restoring the values afterwards
+
+const { normalizeFilePath } = require('./project-files');
+
+// Rules run in order; when matches overlap the earlier rule wins. group is the capture group
+// holding the secret value (0 = whole match). envName is the default variable name.
+const SECRET_RULES = [
+  { id: 'private-key', envName: 'PRIVATE_KEY', pattern: /-----BEGIN (?:[A-Z]+ )?PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )?PRIVATE KEY-----/g, group: 0 },
+  { id: 'connection-string', envName: 'DATABASE_URL', pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mssql|mongodb(?:\+srv)?|redis|rediss|amqps?):\/\/[^\s:@'"`\/]+:[^\s@'"`]+@[^\s'"`]+/g, group: 0 },
+  { id: 'jwt', envName: 'JWT_TOKEN', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, group: 0 },
+  { id: 'openai-key', envName: 'OPENAI_API_KEY', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g, group: 0 },
+  { id: 'stripe-key', envName: 'STRIPE_SECRET_KEY', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}/g, group: 0 },
+  { id: 'aws-access-key-id', envName: 'AWS_ACCESS_KEY_ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, group: 0 },
+  { id: 'aws-secret-access-key', envName: 'AWS_SECRET_ACCESS_KEY', pattern: /aws_?secret_?(?:access_?)?key['"]?\s*[:=]\s*['"`]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi, group: 1 },
+  { id: 'gcp-api-key', envName: 'GOOGLE_API_KEY', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, group: 0 },
+  { id: 'github-token', envName: 'GITHUB_TOKEN', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}\b|\bgithub_pat_[A-Za-z0-9_]{40,}/g, group: 0 },
+  { id: 'slack-token', envName: 'SLACK_TOKEN', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g, group: 0 },
+  // NAME = value lines in .env files, only for names that look secret
+  { id: 'env-assignment', envName: null, pattern: /^[ \t]*(?:export[ \t]+)?([A-Z][A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PASS|PWD|PRIVATE|CREDENTIALS?|AUTH|DSN)[A-Z0-9_]*)[ \t]*=[ \t]*['"]?([^'"\r\n#]{6,}?)['"]?[ \t]*$/gm, group: 2, envOnly: true, nameGroup: 1 },
+  // apiKey: "...", const dbPassword = '...' in code
+  { id: 'secret-assignment', envName: null, pattern: /\b([A-Za-z_$][\w$]*(?:secret|password|passwd|token|api_?key|apikey|access_?key|private_?key|client_?secret)[\w$]*)['"]?\s*[:=]\s*(['"`])([^'"`\s]{8,})\2/gi, group: 3, nameGroup: 1 }
+];
+
+const HIGH_ENTROPY_STRING_PATTERN = /(['"`])([A-Za-z0-9+/=_-]{24,})\1/g;
+// Text right before a string literal that makes it a module specifier: import/export ... from '...',
+// import '...', import('...') and require('...')
+const MODULE_SPECIFIER_PREFIX_PATTERN = /(?:\bfrom|\bimport|\bimport\s*\(|\brequire\s*\()\s*$/;
+
+// A module specifier cannot be replaced by process.env, and random-looking ones are package or
+// file names rather than secrets
+function isModuleSpecifierAt(content, index) {
+  return MODULE_SPECIFIER_PREFIX_PATTERN.test(content.slice(Math.max(0, index - 40), index));
+}
+
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const probability = count / value.length;
+    return entropy - probability * Math.log2(probability);
+  }, 0);
+}
+
+function looksLikeHighEntropySecret(value) {
+  if (/^[a-z_]+$/i.test(value) || /^\.{0,2}\//.test(value) || /^\d+$/.test(value)) return false;
+
+  const isHex = /^[0-9a-f]+$/i.test(value);
+  if (isHex) return value.length >= 32 && shannonEntropy(value) > 3.5;
+
+  const hasMixedCharacters = /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value);
+  return hasMixedCharacters && shannonEntropy(value) > 4.2;
+}
+
+function toEnvName(identifier) {
+  return identifier
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+}
+
+// Variable name on the left of `name = '...'` / `name: '...'` right before a literal, if any
+function findAssignedName(content, index) {
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1;
+  const before = content.slice(lineStart, index);
+  const match = before.match(/([A-Za-z_$][\w$]*)['"]?\s*[:=]\s*['"`]?$/);
+  return match ? match[1] : null;
+}
+
+function isEnvFile(filePath) {
+  return /(^|\/)\.env(\.[\w.-]+)?$/.test(filePath);
+}
+
+function lineNumberAt(content, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) {
+    if (content.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+// Finds secrets in one file. Returns non-overlapping { start, end, value, rule, envName }.
+function findSecretsInContent(content, filePath) {
+  const matches = [];
+  const overlaps = (start, end) => matches.some(match => start < match.end && end > match.start);
+
+  for (const rule of SECRET_RULES) {
+    if (rule.envOnly && !isEnvFile(filePath)) continue;
+
+    for (const match of content.matchAll(rule.pattern)) {
+      const value = match[rule.group];
+      if (!value) continue;
+
+      const start = match.index + match[0].indexOf(value);
+      const end = start + value.length;
+      if (overlaps(start, end) || value.startsWith('process.env') || /^__SECRET_[A-Z0-9_]+__$/.test(value)) continue;
+
+      const name = rule.nameGroup ? match[rule.nameGroup] : findAssignedName(content, start);
+      matches.push({
+        start,
+        end,
+        value,
+        rule: rule.id,
+        envName: rule.envName && !rule.nameGroup ? rule.envName : toEnvName(name || rule.id)
+      });
+    }
+  }
+
+  for (const match of content.matchAll(HIGH_ENTROPY_STRING_PATTERN)) {
+    const value = match[2];
+    const start = match.index + 1;
+    const end = start + value.length;
+    if (overlaps(start, end) || !looksLikeHighEntropySecret(value) || isModuleSpecifierAt(content, match.index)) continue;
+
+    const name = findAssignedName(content, match.index);
+    matches.push({ start, end, value, rule: 'high-entropy-string', envName: name ? toEnvName(name) : 'SECRET' });
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+// Replaces every detected secret in the files with a placeholder before prompt construction.
+// The same value always maps to the same placeholder and environment variable name.
+function redactSecrets(files) {
+  const byValue = new Map();
+  const usedNames = new Set();
+  const findings = [];
+
+  const redactedFiles = files.map(file => {
+    if (typeof file.content !== 'string') return file;
+
+    const matches = findSecretsInContent(file.content, normalizeFilePath(file.path));
+    if (matches.length === 0) return file;
+
+    let content = '';
+    let cursor = 0;
+
+    for (const match of matches) {
+      let entry = byValue.get(match.value);
+
+      if (!entry) {
+        let envName = match.envName || 'SECRET';
+        for (let suffix = 2; usedNames.has(envName); suffix++) {
+          envName = `${match.envName || 'SECRET'}_${suffix}`;
+        }
+        usedNames.add(envName);
+        entry = { envName, value: match.value, placeholder: `__SECRET_${envName}__` };
+        byValue.set(match.value, entry);
+      }
+
+      findings.push({
+        file: file.path,
+        line: lineNumberAt(file.content, match.start),
+        rule: match.rule,
+        envName: entry.envName
+      });
+
+      content += file.content.slice(cursor, match.start) + entry.placeholder;
+      cursor = match.end;
+    }
+
+    content += file.content.slice(cursor);
+    return { ...file, content };
+  });
+
+  return {
+    files: redactedFiles,
+    redaction: {
+      entries: [...byValue.values()],
+      findings
+    }
+  };
+}
+
+// Extra prompt instructions describing the placeholders. keepInPlace is used where the
+// prompt asks for secrets to stay as they are (optimization).
+function createRedactionNotice(redaction, { keepInPlace = false } = {}) {
+  if (redaction.entries.length === 0) return '';
+
+  const placeholders = redaction.entries.map(entry => `  - ${entry.placeholder} -> process.env.${entry.envName}`).join('\n');
+
+  return keepInPlace
+    ? `
+
+  **REDACTED SECRETS:**
+  Hardcoded secrets were replaced with placeholders before this code was sent to you:
+${placeholders}
+  Leave every placeholder exactly as written, inside the same string literal. The server restores the original values.`
+    : `
+
+  **REDACTED SECRETS:**
+  Hardcoded secrets were already detected and replaced with placeholders before this code was sent to you:
+${placeholders}
+  Replace each placeholder string literal with the matching process.env variable. The server fills the "secrets" object itself, so return "secrets": {}.`;
+}
+
+// Undoes redaction in one generated file. A placeholder that is a whole string literal becomes
+// process.env.NAME (when mapToEnv); a placeholder embedded in other text or used as a module
+// specifier gets its original value back.
+function restoreSecretsInContent(content, redaction, mapToEnv) {
+  if (typeof content !== 'string' || redaction.entries.length === 0) return content;
+
+  let restored = content;
+  for (const entry of redaction.entries) {
+    if (mapToEnv) {
+      restored = restored.replace(new RegExp(`(['"\`])${entry.placeholder}\\1`, 'g'), (literal, quote, offset, text) => {
+        return isModuleSpecifierAt(text, offset) ? literal : `process.env.${entry.envName}`;
+      });
+    }
+    restored = restored.split(entry.placeholder).join(entry.value);
+  }
+  return restored;
+}
+
+function restoreSecretsInFile(file, redaction, mapToEnv) {
+  return { ...file, content: restoreSecretsInContent(file.content, redaction, mapToEnv) };
+}
+
+// Restores the generated files and fills secrets deterministically from the scanner findings
+function restoreSecrets(parsedResponse, redaction, { mapToEnv = true } = {}) {
+  parsedResponse.files = parsedResponse.files.map(file => restoreSecretsInFile(file, redaction, mapToEnv));
+
+  if (mapToEnv) {
+    parsedResponse.secrets = Object.fromEntries(redaction.entries.map(entry => [entry.envName, entry.value]));
+  }
+  parsedResponse.secretFindings = redaction.findings;
+
+  return parsedResponse;
+}
+
+// Copy of a result for storage: secrets keeps its variable names but not their values,
+// which are only ever sent to the client in the live response
+function withoutSecretValues(data) {
+  if (!data || !data.secrets || typeof data.secrets !== 'object') return data;
+  return { ...data, secrets: Object.fromEntries(Object.keys(data.secrets).map(name => [name, ''])) };
+}
+
+// Copy of stored data (file contents, patches, events) with every detected secret value replaced
+// by a marker naming its variable. Unlike the prompt placeholders the markers are never restored.
+function redactSecretValues(value, redaction) {
+  if (!redaction || redaction.entries.length === 0) return value;
+
+  if (typeof value === 'string') {
+    // Longest values first, so a secret that contains another one is replaced whole
+    return [...redaction.entries]
+      .sort((a, b) => b.value.length - a.value.length)
+      .reduce((text, entry) => text.split(entry.value).join(`[redacted ${entry.envName}]`), value);
+  }
+  if (Array.isArray(value)) return value.map(item => redactSecretValues(item, redaction));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecretValues(item, redaction)]));
+  }
+  return value;
+}
+
+module.exports = {
+  redactSecrets,
+  createRedactionNotice,
+  restoreSecretsInFile,
+  restoreSecrets,
+  withoutSecretValues,
+  redactSecretValues
+};
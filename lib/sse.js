@@ -0,0 +1,64 @@
+// Server-sent event helpers. Generation handlers only use res through these, so background
+// jobs can pass an event sink instead of a real response.
+
+function setupSSEHeaders(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
+}
+
+function sendSSEMessage(res, type, data) {
+  // The client may already have disconnected
+  if (res.writableEnded || res.destroyed) return;
+
+  const message = { 
+    type, 
+    ...data,
+    timestamp: new Date().toISOString()
+  };
+
+  // Background jobs record their events instead of writing to a socket
+  if (res.pushEvent) {
+    res.pushEvent(message);
+    return;
+  }
+
+  res.write(`data: ${JSON.stringify(message)}\n\n`);
+}
+
+function endSSE(res) {
+  if (res.writableEnded || res.destroyed) return;
+
+  if (res.pushEvent) {
+    res.pushEvent({ type: 'end' });
+  } else {
+    res.write(`data: ${JSON.stringify({ type: 'end' })}\n\n`);
+  }
+  res.end();
+}
+
+// Aborts upstream model work when the SSE client goes away before the response is finished.
+// req 'close' fires as soon as the body has been read, so the response socket is watched instead.
+function createClientAbortController(res) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected before completion - aborting generation');
+      controller.abort();
+    }
+  });
+
+  return controller;
+}
+
+module.exports = {
+  setupSSEHeaders,
+  sendSSEMessage,
+  endSSE,
+  createClientAbortController
+};
@@ -0,0 +1,13 @@
+// Supabase client shared by the server and the lib/ modules (service role, server side only)
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Supabase configuration
+const supabaseUrl = process.env.SUPABASE_URL;
+// const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceRole = process.env.SUPABASE_SERVICE_ROLE
+const supabase = createClient(supabaseUrl, supabaseServiceRole);
+
+module.exports = {
+  supabase
+};
@@ -0,0 +1,336 @@
+// Project uploads as zip or tar(.gz) archives, filtered with .gitignore rules
+
+const path = require('path');
+const JSZip = require('jszip');
+const multer = require('multer');
+const tarStream = require('tar-stream');
+const ignore = require('ignore');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const { normalizeFilePath } = require('./project-files');
+const { isSafeBundlePath } = require('./bundles');
+
+// A project can be sent as a zip or tar(.gz) in the multipart field 'archive' instead of the
+// JSON files array. The extracted files fill in files, packageJson, projectLanguage and
+// projectType for the generation routes (fields sent explicitly still win).
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 50 * 1024 * 1024;
+const UPLOAD_MAX_EXTRACTED_BYTES = Number(process.env.UPLOAD_MAX_EXTRACTED_BYTES) || 20 * 1024 * 1024;
+const UPLOAD_MAX_FILE_BYTES = Number(process.env.UPLOAD_MAX_FILE_BYTES) || 1024 * 1024;
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES) || 2000;
+
+// Always skipped, whatever .gitignore says (gitignore syntax)
+const DEFAULT_UPLOAD_EXCLUDES = [
+  'node_modules/',
+  '.git/',
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lock',
+  'bun.lockb'
+];
+
+const BINARY_FILE_PATTERN = /\.(png|jpe?g|gif|webp|avif|ico|bmp|tiff?|psd|pdf|zip|gz|tgz|tar|7z|rar|jar|woff2?|ttf|otf|eot|mp[34]|mov|avi|webm|wav|ogg|flac|exe|dll|so|dylib|bin|wasm|class|pyc|node|sqlite|db)$/i;
+
+// First matching dependency decides the project type
+const PROJECT_TYPE_RULES = [
+  ['next', 'nextjs'],
+  ['nuxt', 'nuxt'],
+  ['@angular/core', 'angular'],
+  ['react-native', 'react-native'],
+  ['vue', 'vue'],
+  ['svelte', 'svelte'],
+  ['react', 'react'],
+  ['@nestjs/core', 'nestjs'],
+  ['express', 'express'],
+  ['fastify', 'fastify'],
+  ['koa', 'koa']
+];
+
+// Multipart fields arrive as strings; these carry JSON values in the regular JSON body
+const JSON_UPLOAD_FIELDS = ['packageJson', 'allFilesMetadata', 'essentialPackages', 'include', 'exclude', 'fixSyntaxErrors', 'fixImports', 'respectGitignore'];
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 }
+}).single('archive');
+
+function createUploadError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseMultipartFields(body) {
+  const parsed = { ...body };
+
+  for (const field of JSON_UPLOAD_FIELDS) {
+    if (typeof parsed[field] !== 'string') continue;
+    try {
+      parsed[field] = JSON.parse(parsed[field]);
+    } catch (error) {
+      // Plain strings stay as they are, e.g. a comma separated glob list
+    }
+  }
+
+  return parsed;
+}
+
+function toPatternList(value) {
+  const patterns = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return patterns.filter(pattern => typeof pattern === 'string').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Inflates a zip entry, giving up (with null) as soon as more than maxBytes come out. The sizes
+// in a zip's directory are written by whoever made the archive, so only inflated bytes count.
+function readZipEntry(entry, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const stream = entry.nodeStream('nodebuffer');
+    const chunks = [];
+    let total = 0;
+
+    stream.on('data', chunk => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        stream.removeAllListeners('data');
+        stream.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', error => reject(createUploadError(`Invalid archive: ${error.message}`)));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function createExtractedSizeError() {
+  return createUploadError(`Archive contents exceed ${UPLOAD_MAX_EXTRACTED_BYTES} bytes`);
+}
+
+// Lists the regular files of a zip or tar(.gz) archive as { path, size, read(maxBytes) }, where
+// read resolves with null for entries over maxBytes. Zip entries are only inflated when read and
+// have no size up front. Tar entries are streamed, so those already excluded by name or size are
+// skipped without being buffered; at most UPLOAD_MAX_FILES entries and UPLOAD_MAX_EXTRACTED_BYTES
+// bytes are buffered.
+async function listArchiveEntries(buffer, shouldBuffer) {
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    const zip = await JSZip.loadAsync(buffer);
+    return Object.values(zip.files)
+      .filter(entry => !entry.dir)
+      .map(entry => ({ path: entry.name, size: null, read: maxBytes => readZipEntry(entry, maxBytes) }));
+  }
+
+  const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  if (!isGzip && buffer.toString('latin1', 257, 262) !== 'ustar') {
+    throw createUploadError('Unsupported archive format: upload a .zip, .tar or .tar.gz file');
+  }
+
+  const extract = tarStream.extract();
+  const source = Readable.from([buffer]);
+  (isGzip ? source.pipe(zlib.createGunzip()) : source)
+    .on('error', error => extract.destroy(createUploadError(`Invalid archive: ${error.message}`)))
+    .pipe(extract);
+
+  const entries = [];
+  let bufferedFiles = 0;
+  let bufferedBytes = 0;
+
+  for await (const entry of extract) {
+    const { name, size, type } = entry.header;
+    if (type !== 'file' || bufferedFiles >= UPLOAD_MAX_FILES || !shouldBuffer(name, size)) {
+      entry.resume();
+      entries.push({ path: name, size, type, read: null });
+      continue;
+    }
+
+    bufferedFiles++;
+    const chunks = [];
+    for await (const chunk of entry) {
+      bufferedBytes += chunk.length;
+      if (bufferedBytes > UPLOAD_MAX_EXTRACTED_BYTES) throw createExtractedSizeError();
+      chunks.push(chunk);
+    }
+    const data = Buffer.concat(chunks);
+    entries.push({ path: name, size, type, read: async maxBytes => (data.length > maxBytes ? null : data) });
+  }
+
+  return entries.filter(entry => !entry.type || entry.type === 'file');
+}
+
+// GitHub and most archivers wrap everything in one top-level folder
+function getCommonRootDir(paths) {
+  const roots = new Set(paths.map(filePath => (filePath.includes('/') ? filePath.split('/')[0] : null)));
+  if (roots.size !== 1 || roots.has(null)) return '';
+  return `${[...roots][0]}/`;
+}
+
+// Every .gitignore applies to paths below its own directory
+function createGitignoreMatcher(gitignores) {
+  return (filePath) => gitignores.some(({ dir, matcher }) => {
+    if (dir && !filePath.startsWith(`${dir}/`)) return false;
+    return matcher.ignores(dir ? filePath.slice(dir.length + 1) : filePath);
+  });
+}
+
+function looksBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+function detectProjectSettings(files) {
+  const packageJsonFile = files
+    .filter(file => path.posix.basename(file.path) === 'package.json')
+    .sort((a, b) => a.path.split('/').length - b.path.split('/').length)[0];
+
+  let packageJson = null;
+  if (packageJsonFile) {
+    try {
+      packageJson = JSON.parse(packageJsonFile.content);
+    } catch (error) {
+      console.log('Uploaded package.json is not valid JSON:', packageJsonFile.path);
+    }
+  }
+
+  const dependencies = { ...(packageJson?.dependencies || {}), ...(packageJson?.devDependencies || {}) };
+  const typeScriptFiles = files.filter(file => /\.(ts|tsx|mts|cts)$/.test(file.path) && !file.path.endsWith('.d.ts')).length;
+  const javaScriptFiles = files.filter(file => /\.(js|jsx|mjs|cjs)$/.test(file.path)).length;
+  const usesTypeScript = files.some(file => path.posix.basename(file.path) === 'tsconfig.json') ||
+    Boolean(dependencies.typescript) ||
+    typeScriptFiles > javaScriptFiles;
+
+  const typeRule = PROJECT_TYPE_RULES.find(([dependency]) => dependencies[dependency]);
+
+  return {
+    packageJson,
+    packageJsonPath: packageJsonFile?.path || null,
+    projectLanguage: usesTypeScript ? 'TypeScript' : 'JavaScript',
+    projectType: typeRule ? typeRule[1] : packageJson ? 'node' : 'javascript'
+  };
+}
+
+// Extracts the text files of an uploaded project. Returns { files: [{ path, content }],
+// skipped: [{ path, reason }], detected, rootDir }. include/exclude use gitignore syntax.
+async function extractProjectArchive(buffer, { include, exclude, respectGitignore = true } = {}) {
+  const defaultExcludes = ignore().add(DEFAULT_UPLOAD_EXCLUDES);
+  const excludes = ignore().add(toPatternList(exclude));
+  const includePatterns = toPatternList(include);
+  const includes = ignore().add(includePatterns);
+
+  const entries = await listArchiveEntries(buffer, (name, size) =>
+    !defaultExcludes.ignores(normalizeFilePath(name)) && !BINARY_FILE_PATTERN.test(name) && size <= UPLOAD_MAX_FILE_BYTES
+  );
+
+  const rootDir = getCommonRootDir(entries.map(entry => normalizeFilePath(entry.path)));
+  const candidates = entries
+    .map(entry => ({ ...entry, path: normalizeFilePath(entry.path).slice(rootDir.length) }))
+    .filter(entry => isSafeBundlePath(entry.path));
+
+  // Everything read counts towards UPLOAD_MAX_EXTRACTED_BYTES, .gitignore files included
+  let extractedBytes = 0;
+  const readEntry = async (entry) => {
+    const data = await entry.read(UPLOAD_MAX_FILE_BYTES);
+    if (data) {
+      extractedBytes += data.length;
+      if (extractedBytes > UPLOAD_MAX_EXTRACTED_BYTES) throw createExtractedSizeError();
+    }
+    return data;
+  };
+
+  const gitignores = [];
+  if (respectGitignore !== false) {
+    for (const entry of candidates.filter(candidate => path.posix.basename(candidate.path) === '.gitignore' && candidate.read)) {
+      const data = await readEntry(entry);
+      if (!data) continue;
+
+      const dir = path.posix.dirname(entry.path);
+      gitignores.push({ dir: dir === '.' ? '' : dir, matcher: ignore().add(data.toString('utf8')) });
+    }
+  }
+  const isGitignored = createGitignoreMatcher(gitignores);
+
+  const files = [];
+  const skipped = [];
+
+  for (const entry of candidates) {
+    const skip = (reason) => skipped.push({ path: entry.path, reason });
+
+    if (defaultExcludes.ignores(entry.path) || excludes.ignores(entry.path)) { skip('excluded'); continue; }
+    if (includePatterns.length > 0 && !includes.ignores(entry.path)) { skip('not-included'); continue; }
+    if (isGitignored(entry.path)) { skip('gitignored'); continue; }
+    if (BINARY_FILE_PATTERN.test(entry.path)) { skip('binary'); continue; }
+    if (entry.size > UPLOAD_MAX_FILE_BYTES) { skip('too-large'); continue; }
+    // Tar entries left unbuffered past UPLOAD_MAX_FILES
+    if (files.length >= UPLOAD_MAX_FILES || !entry.read) { skip('file-limit'); continue; }
+
+    const data = await readEntry(entry);
+    if (!data) { skip('too-large'); continue; }
+    if (looksBinary(data)) { skip('binary'); continue; }
+
+    files.push({ path: entry.path, content: data.toString('utf8') });
+  }
+
+  return { files, skipped, detected: detectProjectSettings(files), rootDir: rootDir.replace(/\/$/, '') };
+}
+
+function summarizeUpload(upload, fileName) {
+  const skippedByReason = {};
+  upload.skipped.forEach(entry => {
+    skippedByReason[entry.reason] = (skippedByReason[entry.reason] || 0) + 1;
+  });
+
+  return {
+    archiveName: fileName,
+    filesExtracted: upload.files.length,
+    filesSkipped: upload.skipped.length,
+    skippedByReason,
+    detected: {
+      projectType: upload.detected.projectType,
+      projectLanguage: upload.detected.projectLanguage,
+      packageJsonPath: upload.detected.packageJsonPath
+    }
+  };
+}
+
+// Middleware for the generation routes. JSON requests pass through untouched; multipart
+// requests get their fields parsed and, when an archive is attached, the extracted project.
+// Runs before the SSE stream starts, so problems are answered with a plain 400.
+function handleProjectUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  archiveUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        throw createUploadError(uploadError.code === 'LIMIT_FILE_SIZE'
+          ? `Archive is larger than ${UPLOAD_MAX_BYTES} bytes`
+          : `Invalid upload: ${uploadError.message}`);
+      }
+
+      req.body = parseMultipartFields(req.body || {});
+      if (!req.file) return next();
+
+      const upload = await extractProjectArchive(req.file.buffer, req.body);
+      if (upload.files.length === 0) {
+        throw createUploadError('No usable source files found in the archive');
+      }
+
+      req.body.files = req.body.files || upload.files;
+      req.body.packageJson = req.body.packageJson || upload.detected.packageJson || {};
+      req.body.projectLanguage = req.body.projectLanguage || upload.detected.projectLanguage;
+      req.body.projectType = req.body.projectType || upload.detected.projectType;
+      req.projectUpload = { ...upload, summary: summarizeUpload(upload, req.file.originalname) };
+
+      next();
+    } catch (error) {
+      console.error('❌ Error processing project upload:', error.message);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Internal server error'
+      });
+    }
+  });
+}
+
+module.exports = {
+  handleProjectUpload
+};
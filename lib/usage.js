@@ -0,0 +1,134 @@
+// Usage accounting: generation_logs rows and the quota reserved for each generation
+
+const { supabase } = require('./supabase');
+
+// Record the outcome of a generation request for usage accounting.
+// apiKeyId is the user_api_keys row the request was made with, if any.
+async function recordGenerationEvent(name, { route, model, status, reason = null, apiKeyId = null }) {
+  const { error } = await supabase
+    .from('generation_logs')
+    .insert([{
+      name,
+      route,
+      model,
+      status,
+      reason,
+      api_key_id: apiKeyId
+    }]);
+
+  if (error) {
+    console.log('ERROR: Failed to record generation event');
+    console.log('Database error:', JSON.stringify(error, null, 2));
+  }
+}
+
+// Give back a request unit that was counted but never produced a result
+async function refundApiCount(name) {
+  const { data, error } = await supabase
+    .rpc('decrement_api_count', {
+      api_name: name
+    });
+
+  if (error) {
+    console.log('ERROR: Failed to refund API count for user:', name);
+    console.log('Database error:', JSON.stringify(error, null, 2));
+    return null;
+  }
+
+  console.log(`Refunded one request for user: ${name}`);
+  return data;
+}
+
+// Quota is reserved before any AI work, committed once the final event has been sent and
+// released (refunded) on any error path, so failed or abandoned runs never cost a request.
+// The reservation is tracked as a generation_logs row that moves from 'reserved' to its outcome.
+async function reserveUsage(name, { route, model, apiKeyId = null }) {
+  // Use the PostgreSQL function for count management
+  const { data: countResult, error: countError } = await supabase
+    .rpc('increment_api_count', {
+      api_name: name
+    });
+
+  if (countError) {
+    throw countError;
+  }
+
+  if (!countResult.success) {
+    return { countResult, reservation: null };
+  }
+
+  const { data: logRecord, error: logError } = await supabase
+    .from('generation_logs')
+    .insert([{
+      name,
+      route,
+      model,
+      status: 'reserved',
+      api_key_id: apiKeyId
+    }])
+    .select('id')
+    .single();
+
+  if (logError) {
+    console.log('ERROR: Failed to record usage reservation');
+    console.log('Database error:', JSON.stringify(logError, null, 2));
+  }
+
+  return {
+    countResult,
+    reservation: {
+      id: logRecord?.id || null,
+      name,
+      route,
+      model,
+      apiKeyId,
+      settled: false
+    }
+  };
+}
+
+async function settleReservation(reservation, { status, model, reason = null }) {
+  if (!reservation.id) {
+    await recordGenerationEvent(reservation.name, { route: reservation.route, model, status, reason, apiKeyId: reservation.apiKeyId });
+    return;
+  }
+
+  const { error } = await supabase
+    .from('generation_logs')
+    .update({
+      status,
+      model,
+      reason,
+      settled_at: new Date().toISOString()
+    })
+    .eq('id', reservation.id);
+
+  if (error) {
+    console.log('ERROR: Failed to settle usage reservation:', reservation.id);
+    console.log('Database error:', JSON.stringify(error, null, 2));
+  }
+}
+
+async function commitUsage(reservation, model) {
+  if (!reservation || reservation.settled) return;
+  reservation.settled = true;
+
+  await settleReservation(reservation, { status: 'completed', model: model || reservation.model });
+}
+
+// status is 'failed' or 'cancelled'; reason explains what went wrong
+async function releaseUsage(reservation, status, reason) {
+  if (!reservation || reservation.settled) return;
+  reservation.settled = true;
+
+  console.log(`Releasing reserved request for ${reservation.name} (${status}): ${reason}`);
+  await refundApiCount(reservation.name);
+  await settleReservation(reservation, { status, model: reservation.model, reason });
+}
+
+module.exports = {
+  recordGenerationEvent,
+  reserveUsage,
+  commitUsage,
+  releaseUsage
+};
@@ -1,16 +1,99 @@
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
-const bcrypt = require('bcrypt');
-const fs = require('fs').promises;
-const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { createClient } = require('@supabase/supabase-js');
 const { Paddle } = require('@paddle/paddle-node-sdk');
-const OpenAI = require('openai');
 
 
 require('dotenv').config();
+
+// lib/ modules read their settings from process.env when loaded, so they come after dotenv
+const { supabase } = require('./lib/supabase');
+const { setupSSEHeaders, sendSSEMessage, endSSE, createClientAbortController } = require('./lib/sse');
+const {
+  API_KEY_SCOPES,
+  GENERATION_SCOPES,
+  maskApiKey,
+  hashApiKey,
+  isApiKeyExpired,
+  isApiKeyRetired,
+  createUserApiKey,
+  revokeUserApiKeys,
+  API_KEY_LIST_COLUMNS,
+  getActiveApiKeys,
+  getApiKeyStatus,
+  toApiKeySummaries,
+  hasAuthScope,
+  createScopeError,
+  requireAuth,
+  API_KEY_ROTATION_MAX_GRACE_HOURS,
+  API_KEY_ROTATION_GRACE_HOURS,
+  API_KEY_ROTATION_SWEEP_MS,
+  revokeRetiredApiKeys
+} = require('./lib/auth');
+const { recordGenerationEvent, reserveUsage, commitUsage, releaseUsage } = require('./lib/usage');
+const {
+  loadModelRegistry,
+  getModelConfig,
+  getModelsForPlan,
+  isModelAllowedForPlan,
+  toPublicModel
+} = require('./lib/models');
+const { generateValidatedResponse } = require('./lib/response-schemas');
+const { normalizeFilePath, uniqueStrings } = require('./lib/project-files');
+const { mergeRefactoringResults, mergeOptimizationResults, runBatchedGeneration } = require('./lib/batching');
+const { runSyntaxChecks, runImportChecks } = require('./lib/code-checks');
+const {
+  buildProjectMetadata,
+  hasProjectMetadata,
+  resolveProjectMetadata
+} = require('./lib/project-metadata');
+const {
+  redactSecrets,
+  createRedactionNotice,
+  restoreSecretsInFile,
+  restoreSecrets
+} = require('./lib/secrets');
+const {
+  getEssentialPackageRules,
+  formatEssentialPackageRules,
+  applyPackageAnalysis
+} = require('./lib/package-usage');
+const {
+  OUTPUT_MODES,
+  createPatchModeNotice,
+  getOriginalsByPath,
+  createOutputFileMapper,
+  applyPatchOutput
+} = require('./lib/patch-output');
+const { ARTIFACT_BUCKET, ARTIFACT_URL_TTL_SECONDS, createGenerationArtifact } = require('./lib/bundles');
+const { handleProjectUpload } = require('./lib/uploads');
+const {
+  JOB_SCOPES,
+  TERMINAL_JOB_STATUSES,
+  JOB_REQUEST_OPTIONS,
+  JOB_EVENT_POLL_MS,
+  JOB_HEARTBEAT_MS,
+  activeJobs,
+  writeJobEvent,
+  createJobEventSink,
+  runJob,
+  getOwnedJob,
+  fetchStoredJobEvents
+} = require('./lib/jobs');
+const {
+  HISTORY_MODES,
+  HISTORY_DEFAULT_PAGE_SIZE,
+  HISTORY_MAX_PAGE_SIZE,
+  HISTORY_LIST_COLUMNS,
+  HISTORY_VERSION_COLUMNS,
+  diffSnapshots,
+  insertHistoryVersion,
+  saveGenerationHistory,
+  getOwnedHistoryEntry,
+  getLatestHistoryVersion,
+  loadRefinementBase
+} = require('./lib/history');
+
 const port = process.env.PORT || 3001;
 
 
@@ -19,19 +102,6 @@ const app = express();
 const paddle = new Paddle(process.env.PADDLE_API_KEY);
 
 
-// Supabase configuration
-const supabaseUrl = process.env.SUPABASE_URL;
-// const supabaseKey = process.env.SUPABASE_ANON_KEY;
-const supabaseServiceRole = process.env.SUPABASE_SERVICE_ROLE
-const supabase = createClient(supabaseUrl, supabaseServiceRole);
-
-
-
-// Initialize OpenAI client for GPT-5 Mini
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Middleware
 app.use(cors());
 
@@ -121,46 +191,6 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 
 
-// Helper function to hash API key (unchanged)
-async function hashApiKey(apiKey) {
-  const saltRounds = 12;
-  return await bcrypt.hash(apiKey, saltRounds);
-}
-
-// Helper function to verify API key (unchanged)
-async function verifyApiKey(plainApiKey, hashedApiKey) {
-  return await bcrypt.compare(plainApiKey, hashedApiKey);
-}
-
-// Helper function to find API key by comparing with all hashed keys (unchanged)
-async function findApiKeyRecord(plainApiKey) {
-  // Get all API key records
-  const { data: allApiKeys, error } = await supabase
-    .from('api_keys')
-    .select(`
-      name,
-      api_key,
-      count,
-      last_reset_date,
-      users!inner(plan)
-    `)
-    .not('api_key', 'is', null);
-
-  if (error) {
-    throw error;
-  }
-
-  // Check each hashed API key
-  for (const record of allApiKeys) {
-    const isMatch = await verifyApiKey(plainApiKey, record.api_key);
-    if (isMatch) {
-      return record;
-    }
-  }
-
-  return null;
-}
-
 async function handleSubscriptionActivated(subscription) {
   console.log('=== HANDLING SUBSCRIPTION ACTIVATED ===');
   console.log('Subscription object:', JSON.stringify(subscription, null, 2));
@@ -205,20 +235,6 @@ async function handleSubscriptionActivated(subscription) {
     return;
   }
 
-  // Delete existing API key if it exists (upgrade scenario)
-  const { error: deleteError } = await supabase
-    .from('api_keys')
-    .update({ api_key: null })
-    .eq('name', user.name)
-    .not('api_key', 'is', null);
-
-  if (deleteError) {
-    console.log('ERROR: Failed to delete API key for upgraded user');
-    console.log('Delete error:', JSON.stringify(deleteError, null, 2));
-  } else {
-    console.log('SUCCESS: API key deleted for upgraded user (if existed)');
-  }
-
   // Reset count to 0 for newly activated pro users
   const { error: countError } = await supabase
     .from('api_keys')
@@ -269,18 +285,14 @@ async function handleSubscriptionPastDue(subscription) {
     return;
   }
 
-  // Delete API key if it exists (downgrade scenario)
-  const { error: deleteError } = await supabase
-    .from('api_keys')
-    .update({ api_key: null })
-    .eq('name', user.name)
-    .not('api_key', 'is', null);
+  // Revoke the user's API keys (downgrade scenario)
+  const { data: revokedKeys, error: revokeError } = await revokeUserApiKeys(user.name);
 
-  if (deleteError) {
-    console.log('ERROR: Failed to delete API key for past due user');
-    console.log('Delete error:', JSON.stringify(deleteError, null, 2));
+  if (revokeError) {
+    console.log('ERROR: Failed to revoke API keys for past due user');
+    console.log('Revoke error:', JSON.stringify(revokeError, null, 2));
   } else {
-    console.log('SUCCESS: API key deleted for past due user (if existed)');
+    console.log(`SUCCESS: Revoked ${revokedKeys.length} API key(s) for past due user`);
   }
 
   // Set count to 0 (used all free requests) for past due users
@@ -378,18 +390,14 @@ async function handleSubscriptionCancelled(subscription) {
     return;
   }
 
-  // Delete API key if it exists (cancellation scenario)
-  const { error: deleteError } = await supabase
-    .from('api_keys')
-    .update({ api_key: null })
-    .eq('name', user.name)
-    .not('api_key', 'is', null);
+  // Revoke the user's API keys (cancellation scenario)
+  const { data: revokedKeys, error: revokeError } = await revokeUserApiKeys(user.name);
 
-  if (deleteError) {
-    console.log('ERROR: Failed to delete API key for cancelled user');
-    console.log('Delete error:', JSON.stringify(deleteError, null, 2));
+  if (revokeError) {
+    console.log('ERROR: Failed to revoke API keys for cancelled user');
+    console.log('Revoke error:', JSON.stringify(revokeError, null, 2));
   } else {
-    console.log('SUCCESS: API key deleted for cancelled user (if existed)');
+    console.log(`SUCCESS: Revoked ${revokedKeys.length} API key(s) for cancelled user`);
   }
 
   // Reset count to 0 for cancelled users (give them 10 fresh free requests)
@@ -442,18 +450,14 @@ async function handleSubscriptionPaused(subscription) {
     return;
   }
 
-  // Delete API key if it exists (pause scenario)
-  const { error: deleteError } = await supabase
-    .from('api_keys')
-    .update({ api_key: null })
-    .eq('name', user.name)
-    .not('api_key', 'is', null);
+  // Revoke the user's API keys (pause scenario)
+  const { data: revokedKeys, error: revokeError } = await revokeUserApiKeys(user.name);
 
-  if (deleteError) {
-    console.log('ERROR: Failed to delete API key for paused user');
-    console.log('Delete error:', JSON.stringify(deleteError, null, 2));
+  if (revokeError) {
+    console.log('ERROR: Failed to revoke API keys for paused user');
+    console.log('Revoke error:', JSON.stringify(revokeError, null, 2));
   } else {
-    console.log('SUCCESS: API key deleted for paused user (if existed)');
+    console.log(`SUCCESS: Revoked ${revokedKeys.length} API key(s) for paused user`);
   }
 
   // Set count to 0 (used all free requests) for paused users
@@ -506,20 +510,6 @@ async function handleSubscriptionResumed(subscription) {
     return;
   }
 
-  // Delete existing API key if it exists (resume scenario - fresh start)
-  const { error: deleteError } = await supabase
-    .from('api_keys')
-    .update({ api_key: null })
-    .eq('name', user.name)
-    .not('api_key', 'is', null);
-
-  if (deleteError) {
-    console.log('ERROR: Failed to delete API key for resumed user');
-    console.log('Delete error:', JSON.stringify(deleteError, null, 2));
-  } else {
-    console.log('SUCCESS: API key deleted for resumed user (if existed)');
-  }
-
   // Reset count to 0 for resumed pro users (fresh daily limit)
   const { error: countError } = await supabase
     .from('api_keys')
@@ -539,41 +529,19 @@ async function handleSubscriptionResumed(subscription) {
   console.log('SUCCESS: Subscription resumed for subscription:', subscription.id);
 }
 
-function setupSSEHeaders(res) {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
-  });
-}
-
-function sendSSEMessage(res, type, data) {
-  res.write(`data: ${JSON.stringify({ 
-    type, 
-    ...data,
-    timestamp: new Date().toISOString()
-  })}\n\n`);
-}
-
-function endSSE(res) {
-  res.write(`data: ${JSON.stringify({ type: 'end' })}\n\n`);
-  res.end();
-}
-
+// The caller was already authenticated by requireAuth; req.auth identifies the user
 async function validateAndProcessRequest(req, res, requiredFields = []) {
-  const { user_email, selectedModel } = req.body;
+  const { selectedModel } = req.body;
   
   console.log('=== VALIDATION DEBUG ===');
-  console.log('Received user_email:', user_email ? 'PROVIDED' : 'MISSING');
+  console.log('Authenticated with:', req.auth ? req.auth.method : 'NONE');
   console.log('Received selectedModel:', selectedModel);
   
   setupSSEHeaders(res);
   sendSSEMessage(res, 'connected', { message: 'Stream connected successfully' });
 
   // Check if user is logged in
-  if (!user_email || typeof user_email !== 'string' || user_email.trim() === '') {
+  if (!req.auth) {
     sendSSEMessage(res, 'error', { error: 'Please login first to use this service' });
     endSSE(res);
     return null;
@@ -595,7 +563,7 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
     }
   }
 
-  const userEmail = user_email.trim();
+  const userEmail = req.auth.email;
   sendSSEMessage(res, 'status', { message: 'Validating user access...' });
 
   // Get user plan and API key info
@@ -614,23 +582,38 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
   console.log('User plan:', userData.plan);
   console.log('Selected model:', selectedModel);
 
-  // Model access validation based on plan
-  if (selectedModel === 'gpt5-mini' && userData.plan === 'free') {
+  // Model access validation based on the registry
+  const modelConfig = getModelConfig(selectedModel);
+
+  if (!modelConfig) {
+    sendSSEMessage(res, 'error', {
+      error: `Unsupported model: ${selectedModel}`,
+      data: {
+        currentPlan: userData.plan,
+        availableModels: getModelsForPlan(userData.plan).map(m => m.id)
+      }
+    });
+    endSSE(res);
+    return null;
+  }
+
+  if (!isModelAllowedForPlan(modelConfig, userData.plan)) {
+    const availableModels = getModelsForPlan(userData.plan);
     sendSSEMessage(res, 'error', { 
-      error: 'GPT-5 Mini is only available for Pro plan users. Free users can use DeepSeek R1',
+      error: `${modelConfig.label} is not available on the ${userData.plan} plan. Available models: ${availableModels.map(m => m.label).join(', ') || 'none'}`,
       data: {
-        currentPlan: 'free',
-        availableModels: ['deepseek-r1'],
-        proModels: ['gpt5-mini']
+        currentPlan: userData.plan,
+        availableModels: availableModels.map(m => m.id),
+        proModels: getModelsForPlan('pro').map(m => m.id)
       }
     });
     endSSE(res);
     return null;
   }
 
-  // Handle free users using DeepSeek
-  if (userData.plan === 'free' && selectedModel === 'deepseek-r1') {
-    console.log('Free user detected using DeepSeek - checking/creating API key placeholder');
+  // Handle free users on models that run with their own key
+  if (userData.plan === 'free' && modelConfig.requiresUserKey) {
+    console.log(`Free user detected using ${modelConfig.label} - checking/creating API key placeholder`);
     
     // Check if API key record exists, if not create with random placeholder
     const { data: apiKeyRecord, error: apiKeyError } = await supabase
@@ -676,10 +659,14 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
       }
     }
 
-    // For free users, we'll get the OpenRouter API key from request body
+  }
+
+  // Models that run on the caller's own key (e.g. OpenRouter) take it from the request body
+  if (modelConfig.requiresUserKey) {
     const { api_key } = req.body;
     if (!api_key || typeof api_key !== 'string' || api_key.trim() === '') {
-      sendSSEMessage(res, 'error', { error: 'OpenRouter API key is required for free users to use DeepSeek R1' });
+      const provider = modelConfig.backend === 'openrouter' ? 'OpenRouter' : 'Provider';
+      sendSSEMessage(res, 'error', { error: `${provider} API key is required to use ${modelConfig.label}` });
       endSSE(res);
       return null;
     }
@@ -687,15 +674,11 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
 
   sendSSEMessage(res, 'status', { message: 'Checking usage limits...' });
 
-  // Use the PostgreSQL function for count management
-  const { data: countResult, error: countError } = await supabase
-    .rpc('increment_api_count', {
-      api_name: userEmail
-    });
-
-  if (countError) {
-    throw countError;
-  }
+  const { countResult, reservation } = await reserveUsage(userEmail, {
+    route: req.path,
+    model: selectedModel,
+    apiKeyId: req.auth.apiKeyId
+  });
 
   // Check if the function indicates limit reached
   if (!countResult.success) {
@@ -714,8 +697,8 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
 
   console.log('Validation successful, returning data...');
 
-  // For free users, pass the OpenRouter API key from request
-  const apiKeyForModel = userData.plan === 'free' ? req.body.api_key?.trim() : null;
+  // Only pass the caller's key through to models that need it
+  const apiKeyForModel = modelConfig.requiresUserKey ? req.body.api_key?.trim() : null;
 
   return {
     apiKeyData: { 
@@ -723,167 +706,17 @@ async function validateAndProcessRequest(req, res, requiredFields = []) {
       users: { plan: userData.plan } 
     },
     countResult,
+    reservation,
     selectedModel,
     apiKey: apiKeyForModel
   };
 }
-async function callAIModel(prompt, model, res, userPlan = 'pro', apiKey = null) {
-  if (model === 'deepseek-r1') {
-    const actualModel = "deepseek/deepseek-r1-0528:free";
-    
-    if (userPlan === 'free') {
-      // Free users: use their provided OpenRouter API key (which is in api_key)
-      if (!apiKey) {
-        throw new Error('OpenRouter API key is required for free users to use DeepSeek R1');
-      }
-      
-      console.log('Using provided OpenRouter API key for free user (DeepSeek R1)');
-      const userClient = new OpenAI({
-        baseURL: "https://openrouter.ai/api/v1",
-        apiKey: apiKey,
-      });
-      
-      try {
-        const completion = await userClient.chat.completions.create({
-          model: actualModel,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert software development assistant. Always return valid JSON responses as requested.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.0,
-          stream: true
-        });
-
-        let fullResponse = '';
-        for await (const chunk of completion) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            fullResponse += content;
-            sendSSEMessage(res, 'chunk', { content });
-          }
-        }
-
-        console.log('DeepSeek R1 API call successful with provided OpenRouter key');
-        return fullResponse;
-
-      } catch (error) {
-        console.log('DeepSeek R1 API call failed with provided key:', error.message);
-        throw new Error(`DeepSeek R1 API call failed with your OpenRouter API key: ${error.message}`);
-      }
-    } else {
-      // Pro users should use GPT-5 Mini instead
-      throw new Error('Pro users should use GPT-5 Mini model instead of DeepSeek R1');
-    }
-    
-  } else if (model === 'gpt5-mini') {
-    // Only for Pro users
-    if (userPlan === 'free') {
-      throw new Error('GPT-5 Mini is only available for Pro users');
-    }
-    
-    try {
-      console.log('Using OpenAI GPT-5 Mini for pro user');
-      
-      const completion = await openai.chat.completions.create({
-        model: "gpt-5-mini",
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert software development assistant. Always return valid JSON responses as requested.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        stream: true
-      });
-
-      let fullResponse = '';
-      for await (const chunk of completion) {
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) {
-          fullResponse += content;
-          sendSSEMessage(res, 'chunk', { content });
-        }
-      }
-
-      console.log('OpenAI GPT-5 Mini API call successful');
-      return fullResponse;
-
-    } catch (error) {
-      console.log('OpenAI GPT-5 Mini API call failed:', error.message);
-      throw error;
-    }
-  } else {
-    throw new Error(`Unsupported model: ${model}. Available models: deepseek-r1 (free), gpt5-mini (pro)`);
-  }
-}
-
-function parseAIResponse(aiResponse) {
-  try {
-    let jsonContent = '';
-    
-    // Strategy 1: Look for JSON block between ```json and ```
-    const codeBlockMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
-    if (codeBlockMatch) {
-      jsonContent = codeBlockMatch[1].trim();
-    }
-    
-    // Strategy 2: Look for JSON object starting with { and ending with }
-    if (!jsonContent) {
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        jsonContent = jsonMatch[0];
-      }
-    }
-    
-    // Strategy 3: Try to clean the response and extract JSON
-    if (!jsonContent) {
-      let cleaned = aiResponse
-        .replace(/^[\s\S]*?(?=\{)/, '')
-        .replace(/\}[\s\S]*$/, '}')
-        .trim();
-      
-      if (cleaned.startsWith('{') && cleaned.endsWith('}')) {
-        jsonContent = cleaned;
-      }
-    }
-    
-    if (jsonContent) {
-      return JSON.parse(jsonContent);
-    } else {
-      throw new Error('No valid JSON found in AI response');
-    }
-    
-  } catch (parseError) {
-    // Try fallback parsing
-    try {
-      let fixedJson = aiResponse
-        .replace(/^[\s\S]*?(\{)/, '$1')
-        .replace(/(\})[\s\S]*$/, '$1')
-        .replace(/,\s*}/g, '}')
-        .replace(/,\s*]/g, ']')
-        .trim();
-      
-      return JSON.parse(fixedJson);
-    } catch (fallbackError) {
-      throw new Error(`Failed to parse AI response: ${parseError.message}`);
-    }
-  }
-}
 
 // ====================
 // PROMPT CREATION FUNCTIONS
 // ====================
 
-function createRefactoringPrompt(projectType, files, projectLanguage, packageJson, allFilesMetadata) {
+function createRefactoringPrompt(projectType, files, projectLanguage, packageJson, allFilesMetadata, essentialPackageRules) {
   const fileExtension = projectLanguage === 'TypeScript' ? '.ts/.tsx' : '.js/.jsx';
   
   const refactoringPrompt = `You are an expert software refactoring assistant. You will COMPLETELY REWRITE all provided files with improved code.
@@ -902,17 +735,7 @@ function createRefactoringPrompt(projectType, files, projectLanguage, packageJso
   Analyze all provided code files against the package.json dependencies and devDependencies to identify unused packages.
   
   **ESSENTIAL PACKAGES TO NEVER REMOVE (even if seemingly unused):**
-  - react, react-dom, @types/react, @types/react-dom (React core)
-  - next, @types/next (Next.js framework)
-  - typescript (TypeScript compiler)
-  - eslint, @typescript-eslint/*, eslint-* (linting)
-  - prettier (code formatting)
-  - tailwindcss, autoprefixer, postcss (CSS processing)
-  - webpack, @babel/*, babel-* (build tools)
-  - jest, @testing-library/*, @types/jest (testing frameworks)
-  - @types/node (Node.js types)
-  - turbo, lerna (monorepo tools)
-  - husky, lint-staged (git hooks)
+  ${formatEssentialPackageRules(essentialPackageRules)}
   
   **PACKAGE USAGE DETECTION:**
   Look for packages being used in:
@@ -1193,7 +1016,34 @@ ${userPrompt}
   return customPrompt;
 }
 
-function createOptimizationPrompt(projectType, projectLanguage, files) {
+// Originals a refinement may need to restore: files the thread changed or deleted so far
+function getRevertableOriginals(refinement) {
+  const currentByPath = getOriginalsByPath(refinement.baseFiles);
+  return refinement.originalFiles.filter(file => currentByPath.get(normalizeFilePath(file.path)) !== file.content);
+}
+
+// Extra prompt instructions for a follow-up instruction on a stored generation. The existing
+// files in the prompt are that version; originals are only included for files it changed.
+function createRefinementNotice(refinement, revertableOriginals) {
+  const originalPaths = new Set(refinement.originalFiles.map(file => normalizeFilePath(file.path)));
+  const addedPaths = refinement.baseFiles
+    .map(file => normalizeFilePath(file.path))
+    .filter(filePath => !originalPaths.has(filePath));
+
+  return `
+
+**REFINEMENT OF A PREVIOUS GENERATION:**
+The existing files above are version ${refinement.parentVersion} of this project, produced by the earlier request: ${JSON.stringify(refinement.parentPrompt)}
+The user requirements are a follow-up instruction on that version:
+- Change only what the instruction asks for and keep everything else from version ${refinement.parentVersion} exactly as it is
+- To revert a file, return its original content from ORIGINAL FILES below with isRewritten: true
+- Files added by earlier versions (${addedPaths.length > 0 ? addedPaths.join(', ') : 'none'}) did not exist originally; reverting one means listing it in "originalFilesToDelete"
+
+**ORIGINAL FILES (before any generation, only those changed since):**
+${JSON.stringify(revertableOriginals, null, 2)}`;
+}
+
+function createOptimizationPrompt(projectType, projectLanguage, files, allFilesMetadata) {
   const fileExtension = projectLanguage === 'TypeScript' ? '.ts/.tsx' : '.js/.jsx';
      
   const optimizationPrompt = `You are an expert code optimization specialist. Optimize the provided files for better performance, maintainability, and modern best practices.
@@ -1205,7 +1055,12 @@ function createOptimizationPrompt(projectType, projectLanguage, files) {
 
 **FILES TO OPTIMIZE:**
 ${JSON.stringify(files, null, 2)}
+${hasProjectMetadata(allFilesMetadata) ? `
+**PROJECT METADATA (exports, imports and components of the project files):**
+${JSON.stringify(allFilesMetadata, null, 2)}
 
+Keep every export that other files import, with the same name and signature.
+` : ''}
 **OPTIMIZATION FOCUS:**
 1. **Performance**: Improve speed, reduce memory usage, optimize algorithms
 2. **Code Quality**: Better structure, error handling, readability
@@ -1250,21 +1105,36 @@ ${JSON.stringify(files, null, 2)}
 // ====================
 // MAIN ROUTE HANDLERS
 // ====================
+// The handlers only use res through the SSE helpers, so the jobs API can run them with an
+// event sink in place of a real response.
+
 // UPDATED /api/process-code route
 
-app.post('/api/process-code', async (req, res) => {
+async function handleProcessCode(req, res) {
+  const abortController = createClientAbortController(res);
+  let validationResult = null;
+
   try {
-    const { projectType, files, projectLanguage, packageJson, allFilesMetadata, user_email } = req.body;
+    const { projectType, files, projectLanguage, packageJson, allFilesMetadata, fixSyntaxErrors, fixImports, essentialPackages, outputMode = 'files' } = req.body;
     
-    const validationResult = await validateAndProcessRequest(req, res, [
-      'projectType', 'files', 'projectLanguage', 'packageJson', 'user_email'
+    validationResult = await validateAndProcessRequest(req, res, [
+      'projectType', 'files', 'projectLanguage', 'packageJson'
     ]);
     if (!validationResult) return;
     
-    const { apiKeyData, countResult, selectedModel, apiKey } = validationResult;
+    const { apiKeyData, countResult, reservation, selectedModel, apiKey } = validationResult;
+
+    if (req.projectUpload) {
+      const { summary } = req.projectUpload;
+      sendSSEMessage(res, 'status', {
+        message: `Extracted ${summary.filesExtracted} files from ${summary.archiveName} (${summary.filesSkipped} skipped)`,
+        upload: summary
+      });
+    }
 
     // Validation for files
     if (!files || !Array.isArray(files) || files.length === 0) {
+      await releaseUsage(reservation, 'failed', 'Invalid input: files array is required and cannot be empty');
       sendSSEMessage(res, 'error', { error: 'Invalid input: files array is required and cannot be empty' });
       endSSE(res);
       return;
@@ -1272,39 +1142,105 @@ app.post('/api/process-code', async (req, res) => {
 
     // Validation for packageJson
     if (!packageJson || typeof packageJson !== 'object') {
+      await releaseUsage(reservation, 'failed', 'Invalid input: packageJson is required and must be an object');
       sendSSEMessage(res, 'error', { error: 'Invalid input: packageJson is required and must be an object' });
       endSSE(res);
       return;
     }
 
+    // Validation for outputMode
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      await releaseUsage(reservation, 'failed', 'Invalid input: outputMode must be "files" or "patch"');
+      sendSSEMessage(res, 'error', { error: 'Invalid input: outputMode must be "files" or "patch"' });
+      endSSE(res);
+      return;
+    }
+
     sendSSEMessage(res, 'status', { message: 'Creating refactoring prompt...' });
-    
-    const prompt = createRefactoringPrompt(projectType, files, projectLanguage, packageJson, allFilesMetadata);
+
+    // Hardcoded secrets never reach the model; they are restored after generation
+    const { files: redactedFiles, redaction } = redactSecrets(files);
+    if (redaction.findings.length > 0) {
+      sendSSEMessage(res, 'status', { message: `Redacted ${redaction.findings.length} hardcoded secret(s) before sending code to the model` });
+    }
+    // Events stored by background jobs get the values redacted, see recordJobEvent
+    res.locals.redaction = redaction;
+
+    // Cross-reference metadata is built from the files when the client sends none
+    const projectMetadata = resolveProjectMetadata(allFilesMetadata, files || []);
+    const toOutputFile = createOutputFileMapper(outputMode, files || []);
+    const outputNotice = outputMode === 'patch' ? createPatchModeNotice() : '';
 
     sendSSEMessage(res, 'status', { message: 'Starting AI processing with streaming...' });
     
-    const aiResponse = await callAIModel(
-      prompt, 
-      selectedModel, 
-      res, 
-      apiKeyData.users.plan, 
-      apiKey
-    );
+    // Large projects are split into dependency-ordered batches that fit the model context
+    const { parsedResponse, answeredModel, totalBatches } = await runBatchedGeneration({
+      files: redactedFiles,
+      mode: 'refactor',
+      buildPrompt: (batchFiles) => createRefactoringPrompt(projectType, batchFiles, projectLanguage, packageJson, projectMetadata, getEssentialPackageRules(essentialPackages)) + createRedactionNotice(redaction) + outputNotice,
+      mergeResults: mergeRefactoringResults,
+      selectedModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal,
+      restoreFile: file => toOutputFile(restoreSecretsInFile(file, redaction, true))
+    });
 
     sendSSEMessage(res, 'status', { message: 'AI processing completed. Parsing response...' });
 
-    const parsedResponse = parseAIResponse(aiResponse);
+    await runImportChecks(parsedResponse, {
+      originalFiles: files,
+      allFilesMetadata: projectMetadata,
+      fixImports: fixImports === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    await runSyntaxChecks(parsedResponse, {
+      projectLanguage,
+      fixSyntaxErrors: fixSyntaxErrors === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    // Checks and fix passes above still work on redacted code
+    restoreSecrets(parsedResponse, redaction);
+
+    // Unused packages come from the code itself; the model's suggestions are only a second opinion
+    applyPackageAnalysis(parsedResponse, { originalFiles: files, packageJson, allFilesMetadata: projectMetadata, essentialPackages });
+    sendSSEMessage(res, 'status', {
+      message: `Package analysis: ${parsedResponse.packageAnalysis.unusedPackagesFound} unused of ${parsedResponse.packageAnalysis.totalDependencies + parsedResponse.packageAnalysis.totalDevDependencies} declared packages`
+    });
 
-    // Validate required fields
-    if (!parsedResponse.files || !Array.isArray(parsedResponse.files)) {
-      parsedResponse.files = [];
+    const generatedFiles = parsedResponse.files;
+    if (outputMode === 'patch') {
+      applyPatchOutput(parsedResponse, files || []);
+      sendSSEMessage(res, 'status', { message: `Patch check: ${parsedResponse.patchCheck.summary}` });
     }
 
-    sendSSEMessage(res, 'final', {
+    sendSSEMessage(res, 'status', { message: 'Packaging results...' });
+    const artifact = await createGenerationArtifact(
+      { ...parsedResponse, files: generatedFiles },
+      { reservation, generationMode: 'refactor', outputMode }
+    );
+
+    const historyId = crypto.randomUUID();
+    const finalResult = {
       success: true,
       data: {
         ...parsedResponse,
-        replacementMode: true,
+        replacementMode: outputMode !== 'patch',
+        outputMode,
+        artifact,
+        historyId,
+        version: 1,
         originalFilesProcessed: files.length,
         usage: {
           count: countResult.count,
@@ -1317,40 +1253,82 @@ app.post('/api/process-code', async (req, res) => {
         originalProjectType: projectType,
         projectLanguage: projectLanguage,
         processingTime: new Date().toISOString(),
-        replacementMode: true,
+        replacementMode: outputMode !== 'patch',
+        outputMode,
+        totalBatches,
         apiKeyUser: apiKeyData.name,
-        selectedModel: selectedModel
+        selectedModel: answeredModel,
+        requestedModel: selectedModel
       }
+    };
+
+    sendSSEMessage(res, 'final', finalResult);
+
+    await commitUsage(reservation, answeredModel);
+    await saveGenerationHistory(reservation, {
+      id: historyId,
+      mode: 'refactor',
+      result: finalResult,
+      inputFiles: files,
+      outputFiles: generatedFiles,
+      packageJson,
+      prompt: null,
+      jobId: req.jobId,
+      redaction
     });
 
     sendSSEMessage(res, 'complete', { message: 'Processing completed successfully' });
     endSSE(res);
 
   } catch (error) {
+    if (abortController.signal.aborted) {
+      await releaseUsage(validationResult?.reservation, 'cancelled', 'Client disconnected');
+      return;
+    }
+
     console.error('Error in complete replacement mode:', error);
+    await releaseUsage(validationResult?.reservation, 'failed', error.message);
     sendSSEMessage(res, 'error', {
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
     endSSE(res);
   }
-});
+}
+
+app.post('/api/process-code', requireAuth({ scope: 'refactor' }), handleProjectUpload, handleProcessCode);
 
 // UPDATED /api/generate-custom route
-app.post('/api/generate-custom', async (req, res) => {
+async function handleGenerateCustom(req, res) {
+  const abortController = createClientAbortController(res);
+  let validationResult = null;
+
   try {
-    const { projectType, files, projectLanguage, userPrompt, allFilesMetadata, packageJson, user_email } = req.body;
+    const { projectType, files, projectLanguage, userPrompt, allFilesMetadata, packageJson, fixSyntaxErrors, fixImports, outputMode = 'files' } = req.body;
     
-    const validationResult = await validateAndProcessRequest(req, res, [
-      'projectType', 'projectLanguage', 'userPrompt', 'packageJson', 'user_email'
+    validationResult = await validateAndProcessRequest(req, res, [
+      'projectType', 'projectLanguage', 'userPrompt', 'packageJson'
     ]);
     
     if (!validationResult) return;
     
-    const { apiKeyData, countResult, selectedModel, apiKey } = validationResult;
+    const { apiKeyData, countResult, reservation, selectedModel, apiKey } = validationResult;
+
+    // A refinement works on the stored files of the version it continues
+    const refinement = req.refinement || null;
+    const inputFiles = refinement ? refinement.baseFiles : files || [];
+
+    if (req.projectUpload) {
+      const { summary } = req.projectUpload;
+      sendSSEMessage(res, 'status', {
+        message: `Extracted ${summary.filesExtracted} files from ${summary.archiveName} (${summary.filesSkipped} skipped)`,
+        upload: summary
+      });
+    }
 
     // Validate userPrompt
     if (!userPrompt || typeof userPrompt !== 'string' || userPrompt.trim() === '') {
+      await releaseUsage(reservation, 'failed', 'User prompt is required and must be a valid string');
       sendSSEMessage(res, 'error', { error: 'User prompt is required and must be a valid string' });
       endSSE(res);
       return;
@@ -1358,46 +1336,116 @@ app.post('/api/generate-custom', async (req, res) => {
 
     // Validation for packageJson
     if (!packageJson || typeof packageJson !== 'object') {
+      await releaseUsage(reservation, 'failed', 'Invalid input: packageJson is required and must be an object');
       sendSSEMessage(res, 'error', { error: 'Invalid input: packageJson is required and must be an object' });
       endSSE(res);
       return;
     }
 
-    sendSSEMessage(res, 'status', { message: 'Creating custom generation prompt...' });
-    
+    // Validation for outputMode
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      await releaseUsage(reservation, 'failed', 'Invalid input: outputMode must be "files" or "patch"');
+      sendSSEMessage(res, 'error', { error: 'Invalid input: outputMode must be "files" or "patch"' });
+      endSSE(res);
+      return;
+    }
+
+    sendSSEMessage(res, 'status', {
+      message: refinement
+        ? `Refining version ${refinement.parentVersion} of the previous generation...`
+        : 'Creating custom generation prompt...'
+    });
+
+    // Hardcoded secrets never reach the model; they are restored after generation
+    const revertableOriginals = refinement ? getRevertableOriginals(refinement) : [];
+    const { files: redactedPromptFiles, redaction } = redactSecrets([...inputFiles, ...revertableOriginals]);
+    const redactedFiles = redactedPromptFiles.slice(0, inputFiles.length);
+    if (redaction.findings.length > 0) {
+      sendSSEMessage(res, 'status', { message: `Redacted ${redaction.findings.length} hardcoded secret(s) before sending code to the model` });
+    }
+    // Events stored by background jobs get the values redacted, see recordJobEvent
+    res.locals.redaction = redaction;
+
+    // Cross-reference metadata is built from the files when the client sends none
+    const projectMetadata = resolveProjectMetadata(allFilesMetadata, inputFiles);
+    const toOutputFile = createOutputFileMapper(outputMode, inputFiles);
+    const outputNotice = outputMode === 'patch' ? createPatchModeNotice() : '';
+
     const prompt = createCustomGenerationPrompt(
       projectType, 
-      files || [], 
+      redactedFiles, 
       projectLanguage, 
       userPrompt.trim(),
-      allFilesMetadata || {},
+      projectMetadata,
       packageJson
-    );
+    ) + (refinement ? createRefinementNotice(refinement, redactedPromptFiles.slice(inputFiles.length)) : '')
+      + createRedactionNotice(redaction) + outputNotice;
 
     sendSSEMessage(res, 'status', { message: 'Starting AI processing with streaming...' });
     
-    const aiResponse = await callAIModel(
-      prompt, 
-      selectedModel, 
-      res, 
-      apiKeyData.users.plan, 
-      apiKey
-    );
+    const { parsedResponse, answeredModel } = await generateValidatedResponse({
+      prompt,
+      mode: 'custom',
+      selectedModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal,
+      // Each generated file is sent as a 'file' event as soon as it is complete
+      onFile: (file, index) => {
+        sendSSEMessage(res, 'file', { file: toOutputFile(restoreSecretsInFile(file, redaction, true)), index });
+      }
+    });
 
     sendSSEMessage(res, 'status', { message: 'AI processing completed. Parsing response...' });
 
-    const parsedResponse = parseAIResponse(aiResponse);
+    await runImportChecks(parsedResponse, {
+      originalFiles: inputFiles,
+      allFilesMetadata: projectMetadata,
+      fixImports: fixImports === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    await runSyntaxChecks(parsedResponse, {
+      projectLanguage,
+      fixSyntaxErrors: fixSyntaxErrors === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    // Checks and fix passes above still work on redacted code
+    restoreSecrets(parsedResponse, redaction);
 
-    // Ensure files array exists
-    if (!parsedResponse.files || !Array.isArray(parsedResponse.files)) {
-      parsedResponse.files = [];
+    const generatedFiles = parsedResponse.files;
+    if (outputMode === 'patch') {
+      applyPatchOutput(parsedResponse, inputFiles);
+      sendSSEMessage(res, 'status', { message: `Patch check: ${parsedResponse.patchCheck.summary}` });
     }
 
-    sendSSEMessage(res, 'final', {
+    sendSSEMessage(res, 'status', { message: 'Packaging results...' });
+    const artifact = await createGenerationArtifact(
+      { ...parsedResponse, files: generatedFiles },
+      { reservation, generationMode: 'custom', outputMode }
+    );
+
+    // The history entry id is returned so later requests can refine this generation
+    const historyId = crypto.randomUUID();
+    const finalResult = {
       success: true,
       data: {
         ...parsedResponse,
         generationMode: 'custom',
+        outputMode,
+        artifact,
+        historyId,
+        version: refinement ? refinement.version : 1,
         usage: {
           count: countResult.count,
           limit: countResult.limit,
@@ -1411,72 +1459,174 @@ app.post('/api/generate-custom', async (req, res) => {
         userPrompt: userPrompt,
         processingTime: new Date().toISOString(),
         generationMode: 'custom',
+        outputMode,
+        previousGenerationId: refinement ? refinement.parentId : null,
         apiKeyUser: apiKeyData.name,
-        selectedModel: selectedModel
+        selectedModel: answeredModel,
+        requestedModel: selectedModel
       }
+    };
+
+    // Saved before the final event: a concurrent refinement of the same thread may have taken
+    // the version number, and the event has to report the one the entry was stored as
+    const savedVersion = await saveGenerationHistory(reservation, {
+      id: historyId,
+      mode: 'custom',
+      result: finalResult,
+      inputFiles,
+      outputFiles: generatedFiles,
+      packageJson,
+      prompt: userPrompt.trim(),
+      jobId: req.jobId,
+      refinement,
+      redaction
     });
+    if (savedVersion) finalResult.data.version = savedVersion;
+
+    sendSSEMessage(res, 'final', finalResult);
+
+    await commitUsage(reservation, answeredModel);
 
     sendSSEMessage(res, 'complete', { message: 'Custom generation completed successfully' });
     endSSE(res);
 
   } catch (error) {
+    if (abortController.signal.aborted) {
+      await releaseUsage(validationResult?.reservation, 'cancelled', 'Client disconnected');
+      return;
+    }
+
     console.error('Error in custom file generation:', error);
+    await releaseUsage(validationResult?.reservation, 'failed', error.message);
     sendSSEMessage(res, 'error', {
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
     endSSE(res);
   }
-});
+}
+
+app.post('/api/generate-custom', requireAuth({ scope: 'generate' }), handleProjectUpload, loadRefinementBase, handleGenerateCustom);
 
 // UPDATED /api/optimize-files route
-app.post('/api/optimize-files', async (req, res) => {
+async function handleOptimizeFiles(req, res) {
+  const abortController = createClientAbortController(res);
+  let validationResult = null;
+
   try {
-    const { projectType, files, projectLanguage, user_email } = req.body;
+    const { projectType, files, projectLanguage, allFilesMetadata, fixSyntaxErrors, fixImports, outputMode = 'files' } = req.body;
     
-    const validationResult = await validateAndProcessRequest(req, res, [
-      'projectType', 'projectLanguage', 'files', 'user_email'
+    validationResult = await validateAndProcessRequest(req, res, [
+      'projectType', 'projectLanguage', 'files'
     ]);
     
     if (!validationResult) return;
     
-    const { apiKeyData, countResult, selectedModel, apiKey } = validationResult;
+    const { apiKeyData, countResult, reservation, selectedModel, apiKey } = validationResult;
+
+    if (req.projectUpload) {
+      const { summary } = req.projectUpload;
+      sendSSEMessage(res, 'status', {
+        message: `Extracted ${summary.filesExtracted} files from ${summary.archiveName} (${summary.filesSkipped} skipped)`,
+        upload: summary
+      });
+    }
 
     // Validation for files
     if (!files || !Array.isArray(files) || files.length === 0) {
+      await releaseUsage(reservation, 'failed', 'Files array is required and cannot be empty');
       sendSSEMessage(res, 'error', { error: 'Files array is required and cannot be empty' });
       endSSE(res);
       return;
     }
 
+    // Validation for outputMode
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      await releaseUsage(reservation, 'failed', 'Invalid input: outputMode must be "files" or "patch"');
+      sendSSEMessage(res, 'error', { error: 'Invalid input: outputMode must be "files" or "patch"' });
+      endSSE(res);
+      return;
+    }
+
     sendSSEMessage(res, 'status', { message: 'Creating optimization analysis...' });
-    
-    const prompt = createOptimizationPrompt(projectType, projectLanguage, files);
+
+    // Hardcoded secrets never reach the model; they are restored after generation
+    const { files: redactedFiles, redaction } = redactSecrets(files);
+    if (redaction.findings.length > 0) {
+      sendSSEMessage(res, 'status', { message: `Redacted ${redaction.findings.length} hardcoded secret(s) before sending code to the model` });
+    }
+    // Events stored by background jobs get the values redacted, see recordJobEvent
+    res.locals.redaction = redaction;
+
+    // Cross-reference metadata is built from the files when the client sends none
+    const projectMetadata = resolveProjectMetadata(allFilesMetadata, files || []);
+    const toOutputFile = createOutputFileMapper(outputMode, files || []);
+    const outputNotice = outputMode === 'patch' ? createPatchModeNotice() : '';
 
     sendSSEMessage(res, 'status', { message: 'Starting AI optimization analysis with streaming...' });
     
-    const aiResponse = await callAIModel(
-      prompt, 
-      selectedModel, 
-      res, 
-      apiKeyData.users.plan, 
-      apiKey
-    );
+    // The optimization prompt keeps secrets in place, so placeholders go back to their values
+    const { parsedResponse, answeredModel, totalBatches } = await runBatchedGeneration({
+      files: redactedFiles,
+      mode: 'optimize',
+      buildPrompt: (batchFiles) => createOptimizationPrompt(projectType, projectLanguage, batchFiles, projectMetadata) + createRedactionNotice(redaction, { keepInPlace: true }) + outputNotice,
+      mergeResults: mergeOptimizationResults,
+      selectedModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal,
+      restoreFile: file => toOutputFile(restoreSecretsInFile(file, redaction, false))
+    });
 
     sendSSEMessage(res, 'status', { message: 'AI optimization completed. Parsing response...' });
 
-    const parsedResponse = parseAIResponse(aiResponse);
+    await runImportChecks(parsedResponse, {
+      originalFiles: files,
+      allFilesMetadata: projectMetadata,
+      fixImports: fixImports === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    await runSyntaxChecks(parsedResponse, {
+      projectLanguage,
+      fixSyntaxErrors: fixSyntaxErrors === true,
+      model: answeredModel,
+      res,
+      userPlan: apiKeyData.users.plan,
+      apiKey,
+      signal: abortController.signal
+    });
+
+    // Checks and fix passes above still work on redacted code
+    restoreSecrets(parsedResponse, redaction, { mapToEnv: false });
 
-    // Ensure files array exists
-    if (!parsedResponse.files || !Array.isArray(parsedResponse.files)) {
-      parsedResponse.files = [];
+    const generatedFiles = parsedResponse.files;
+    if (outputMode === 'patch') {
+      applyPatchOutput(parsedResponse, files || []);
+      sendSSEMessage(res, 'status', { message: `Patch check: ${parsedResponse.patchCheck.summary}` });
     }
 
-    sendSSEMessage(res, 'final', {
+    sendSSEMessage(res, 'status', { message: 'Packaging results...' });
+    const artifact = await createGenerationArtifact(
+      { ...parsedResponse, files: generatedFiles },
+      { reservation, generationMode: 'optimize', outputMode }
+    );
+
+    const historyId = crypto.randomUUID();
+    const finalResult = {
       success: true,
       data: {
         ...parsedResponse,
         optimizationMode: true,
+        outputMode,
+        artifact,
+        historyId,
+        version: 1,
         originalFilesCount: files.length,
         usage: {
           count: countResult.count,
@@ -1491,92 +1641,720 @@ app.post('/api/optimize-files', async (req, res) => {
         originalFilesProcessed: files.length,
         processingTime: new Date().toISOString(),
         optimizationMode: true,
+        outputMode,
+        totalBatches,
         apiKeyUser: apiKeyData.name,
-        selectedModel: selectedModel
+        selectedModel: answeredModel,
+        requestedModel: selectedModel
       }
+    };
+
+    sendSSEMessage(res, 'final', finalResult);
+
+    await commitUsage(reservation, answeredModel);
+    await saveGenerationHistory(reservation, {
+      id: historyId,
+      mode: 'optimize',
+      result: finalResult,
+      inputFiles: files,
+      outputFiles: generatedFiles,
+      prompt: null,
+      jobId: req.jobId,
+      redaction
     });
 
     sendSSEMessage(res, 'complete', { message: 'File optimization completed successfully' });
     endSSE(res);
 
   } catch (error) {
+    if (abortController.signal.aborted) {
+      await releaseUsage(validationResult?.reservation, 'cancelled', 'Client disconnected');
+      return;
+    }
+
     console.error('Error in file optimization:', error);
+    await releaseUsage(validationResult?.reservation, 'failed', error.message);
     sendSSEMessage(res, 'error', {
       error: error.message,
       details: process.env.NODE_ENV === 'development' ? error.stack : undefined
     });
     endSSE(res);
   }
-});
-
-app.post('/api/subscription/cancel', async (req, res) => {
-  try {
-    const { userName } = req.body;
-    
-    console.log('=== CANCEL SUBSCRIPTION REQUEST ===');
-    console.log('Request body:', req.body);
-    console.log('UserName:', userName);
+}
 
-    if (!userName) {
-      console.log('ERROR: Missing userName');
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'UserName is required'
-      });
-    }
+app.post('/api/optimize-files', requireAuth({ scope: 'optimize' }), handleProjectUpload, handleOptimizeFiles);
 
-    // Check if user exists and get their subscription details
-    console.log('Checking if user exists with name:', userName);
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('name, subscription_id, subscription_status, plan')
-      .eq('name', userName)
-      .single();
+// ====================
+// GENERATION JOBS
+// ====================
 
-    if (userError) {
-      console.log('=== USER LOOKUP ERROR ===');
-      console.log('Full userError object:', JSON.stringify(userError, null, 2));
-      
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-        message: 'User account not found'
-      });
-    }
+// The generation handler each job type runs in the background (see lib/jobs.js)
+const JOB_HANDLERS = {
+  'process-code': handleProcessCode,
+  'generate-custom': handleGenerateCustom,
+  'optimize-files': handleOptimizeFiles
+};
 
-    console.log('User found:', user);
+// Starts a generation in the background. Takes the same body (or multipart upload) as the
+// matching generation route plus type: 'process-code' | 'generate-custom' | 'optimize-files'.
+app.post('/api/jobs', requireAuth({ scope: GENERATION_SCOPES }), handleProjectUpload, loadRefinementBase, async (req, res) => {
+  try {
+    const { type } = req.body;
+    const userEmail = req.auth.email;
 
-    // Check if user has an active subscription
-    if (!user.subscription_id) {
-      console.log('ERROR: User has no subscription');
+    if (!JOB_HANDLERS[type]) {
       return res.status(400).json({
         success: false,
-        error: 'No subscription found',
-        message: 'User does not have an active subscription'
+        error: `type must be one of: ${Object.keys(JOB_HANDLERS).join(', ')}`
       });
     }
 
-    // Check if subscription is already cancelled or scheduled for cancellation
-    if (user.subscription_status === 'cancelled') {
-      console.log('ERROR: Subscription already cancelled');
-      return res.status(400).json({
+    if (!hasAuthScope(req.auth, JOB_SCOPES[type])) {
+      return res.status(403).json({
         success: false,
-        error: 'Already cancelled',
-        message: 'Subscription is already cancelled'
+        error: createScopeError(JOB_SCOPES[type]).message
       });
     }
 
-    if (user.subscription_status === 'cancel_at_period_end') {
-      console.log('ERROR: Subscription already scheduled for cancellation');
+    if (req.refinement && type !== 'generate-custom') {
       return res.status(400).json({
         success: false,
-        error: 'Already scheduled for cancellation',
-        message: 'Subscription is already scheduled to cancel at the end of the billing period'
+        error: 'previousGenerationId is only supported for generate-custom jobs'
       });
     }
 
-    // Check if subscription is past due
+    const { error: userError } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('name', userEmail)
+      .single();
+
+    if (userError) {
+      if (userError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found. Please ensure you are registered.'
+        });
+      }
+      throw userError;
+    }
+
+    // File contents are not kept with the job, only the options it was started with
+    const { files } = req.body;
+    const options = Object.fromEntries(JOB_REQUEST_OPTIONS
+      .filter(option => req.body[option] !== undefined)
+      .map(option => [option, req.body[option]]));
+    const { data: jobRecord, error: jobError } = await supabase
+      .from('generation_jobs')
+      .insert([{
+        name: userEmail,
+        type,
+        status: 'queued',
+        request: {
+          ...options,
+          fileCount: Array.isArray(files) ? files.length : 0,
+          upload: req.projectUpload?.summary || null
+        }
+      }])
+      .select('id, status, created_at')
+      .single();
+
+    if (jobError) throw jobError;
+
+    const job = {
+      id: jobRecord.id,
+      name: userEmail,
+      type,
+      seq: 0,
+      events: [],
+      listeners: new Set(),
+      persisted: Promise.resolve(),
+      result: null,
+      error: null,
+      cancelled: false
+    };
+    job.sink = createJobEventSink(job);
+    activeJobs.set(job.id, job);
+
+    runJob(job, JOB_HANDLERS[type], { body: req.body, path: `/api/${type}`, auth: req.auth, projectUpload: req.projectUpload, refinement: req.refinement, jobId: job.id })
+      .catch(error => console.error('❌ Error finishing job:', job.id, error));
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        type,
+        status: jobRecord.status,
+        createdAt: jobRecord.created_at,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+        resultUrl: `/api/jobs/${job.id}`
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+app.get('/api/jobs/:id', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const job = await getOwnedJob(
+      req.params.id,
+      userEmail,
+      'id, name, type, status, request, result, error, last_event_id, created_at, started_at, finished_at'
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const { name, ...jobData } = job;
+    const activeJob = activeJobs.get(job.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...jobData,
+        // Rows are only updated at the start and end of a job; the live count is more recent
+        last_event_id: activeJob ? activeJob.seq : job.last_event_id
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Streams the job's events as SSE with ids. Events after Last-Event-ID (header, or the
+// lastEventId query parameter for the first connection) are replayed first. Jobs running in
+// another process are followed by polling the stored events.
+app.get('/api/jobs/:id/events', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const job = await getOwnedJob(req.params.id, userEmail, 'id, name, status');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    let lastSeq = Number(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+    setupSSEHeaders(res);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), JOB_HEARTBEAT_MS);
+    let pollTimer = null;
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(pollTimer);
+      activeJobs.get(job.id)?.listeners.delete(res);
+    });
+
+    const activeJob = activeJobs.get(job.id);
+    if (activeJob) {
+      activeJob.events
+        .filter(event => event.seq > lastSeq)
+        .forEach(event => writeJobEvent(res, event.seq, event.message));
+      activeJob.listeners.add(res);
+      return;
+    }
+
+    const poll = async () => {
+      try {
+        const { data: current, error } = await supabase
+          .from('generation_jobs')
+          .select('status')
+          .eq('id', job.id)
+          .single();
+
+        if (error) throw error;
+
+        // Status is read before the events, so nothing stored before completion is missed
+        for (const event of await fetchStoredJobEvents(job.id, lastSeq)) {
+          writeJobEvent(res, event.seq, event.data);
+          lastSeq = event.seq;
+        }
+
+        if (TERMINAL_JOB_STATUSES.includes(current.status)) {
+          res.end();
+        } else if (!res.writableEnded) {
+          pollTimer = setTimeout(poll, JOB_EVENT_POLL_MS);
+        }
+      } catch (error) {
+        console.error('❌ Error streaming job events:', error);
+        sendSSEMessage(res, 'error', { error: error.message });
+        res.end();
+      }
+    };
+
+    await poll();
+
+  } catch (error) {
+    console.error('❌ Error opening job event stream:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Cancels a job running in this process; its reserved request is refunded like a disconnect
+app.delete('/api/jobs/:id', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const job = await getOwnedJob(req.params.id, userEmail, 'id, name, status');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const activeJob = activeJobs.get(job.id);
+    if (!activeJob) {
+      return res.status(409).json({
+        success: false,
+        error: TERMINAL_JOB_STATUSES.includes(job.status)
+          ? `Job already ${job.status}`
+          : 'Job is running on another server instance'
+      });
+    }
+
+    activeJob.cancelled = true;
+    activeJob.sink.emit('close');
+
+    res.status(202).json({
+      success: true,
+      data: { jobId: job.id, status: 'cancelling' }
+    });
+
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// ====================
+// GENERATION HISTORY
+// ====================
+
+// Lists the user's runs, newest first.
+// Query: page, limit, mode, model, projectType, from, to (ISO dates), search (in summary and prompt)
+app.get('/api/history', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const { mode, model, projectType, from, to, search } = req.query;
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(HISTORY_MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.limit, 10) || HISTORY_DEFAULT_PAGE_SIZE));
+
+    if (mode && !HISTORY_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${HISTORY_MODES.join(', ')}`
+      });
+    }
+
+    for (const [field, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a valid date`
+        });
+      }
+    }
+
+    let query = supabase
+      .from('generation_history')
+      .select(HISTORY_LIST_COLUMNS, { count: 'exact' })
+      .eq('name', userEmail);
+
+    if (mode) query = query.eq('mode', mode);
+    if (model) query = query.eq('model', model);
+    if (projectType) query = query.eq('project_type', projectType);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+    if (search) {
+      // Characters with a meaning in PostgREST filter syntax are dropped from the term
+      const term = String(search).replace(/[%_,()*\\]/g, ' ').trim();
+      if (term) query = query.or(`summary.ilike.*${term}*,prompt.ilike.*${term}*`);
+    }
+
+    const { data: items, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        pagination: {
+          page,
+          limit,
+          total: count ?? items.length,
+          totalPages: Math.ceil((count ?? items.length) / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing generation history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+app.get('/api/history/:id', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const { data: entry, error } = await supabase
+      .from('generation_history')
+      .select(`${HISTORY_LIST_COLUMNS}, result`)
+      .eq('id', req.params.id)
+      .eq('name', userEmail)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return res.status(404).json({
+          success: false,
+          error: 'History entry not found'
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching generation history entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+app.delete('/api/history/:id', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const { data: deleted, error } = await supabase
+      .from('generation_history')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('name', userEmail)
+      .select('id');
+
+    if (error && error.code !== '22P02') throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'History entry deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting generation history entry:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Lists every version of the refinement thread the entry belongs to, oldest first
+app.get('/api/history/:id/versions', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const entry = await getOwnedHistoryEntry(req.params.id, userEmail, 'id, root_id');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
+    }
+
+    const rootId = entry.root_id || entry.id;
+    const { data: versions, error } = await supabase
+      .from('generation_history')
+      .select(HISTORY_VERSION_COLUMNS)
+      .eq('root_id', rootId)
+      .eq('name', userEmail)
+      .order('version', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: { rootId, versions }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing generation versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Unified diff from another version of the same thread to this one.
+// Query: against (a history id, or "original" for the files the thread started from; defaults
+// to the version this one was refined from)
+app.get('/api/history/:id/diff', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const columns = 'id, root_id, parent_id, version, original_files, snapshot';
+    const entry = await getOwnedHistoryEntry(req.params.id, userEmail, columns);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
+    }
+
+    const against = req.query.against || entry.parent_id || 'original';
+    let base;
+
+    if (against === 'original') {
+      base = { id: null, version: 0, snapshot: entry.original_files };
+    } else {
+      base = await getOwnedHistoryEntry(against, userEmail, columns);
+
+      if (!base) {
+        return res.status(404).json({
+          success: false,
+          error: 'Version to compare against not found'
+        });
+      }
+
+      if ((base.root_id || base.id) !== (entry.root_id || entry.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Both entries must be versions of the same generation'
+        });
+      }
+    }
+
+    if (!entry.snapshot || !base.snapshot) {
+      return res.status(409).json({
+        success: false,
+        error: 'This generation was saved without its files and cannot be compared'
+      });
+    }
+
+    const { files, patch } = diffSnapshots(base.snapshot, entry.snapshot);
+
+    res.json({
+      success: true,
+      data: {
+        from: { id: base.id, version: base.version },
+        to: { id: entry.id, version: entry.version },
+        files,
+        patch
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error comparing generation versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Restores the files of an earlier version as a new latest version of its thread. No model is
+// called, so no usage is counted; the result lists what changes compared to the latest version.
+app.post('/api/history/:id/revert', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const userEmail = req.auth.email;
+
+    const target = await getOwnedHistoryEntry(
+      req.params.id,
+      userEmail,
+      'id, root_id, version, project_type, project_language, package_json, original_files, snapshot'
+    );
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'History entry not found'
+      });
+    }
+
+    if (!target.snapshot) {
+      return res.status(409).json({
+        success: false,
+        error: 'This generation was saved without its files and cannot be restored'
+      });
+    }
+
+    const rootId = target.root_id || target.id;
+    const latest = await getLatestHistoryVersion(rootId, userEmail);
+
+    if (!latest || latest.id === target.id) {
+      return res.status(400).json({
+        success: false,
+        error: `Version ${target.version} is already the latest version`
+      });
+    }
+
+    const { files: changes, patch } = diffSnapshots(latest.snapshot || [], target.snapshot);
+    const contents = getOriginalsByPath(target.snapshot);
+    const id = crypto.randomUUID();
+    const summary = `Reverted to version ${target.version} (${changes.length} file(s) changed)`;
+
+    const result = {
+      historyId: id,
+      version: latest.version + 1,
+      revertedTo: { id: target.id, version: target.version },
+      changes_summary: summary,
+      outputMode: 'files',
+      files: changes
+        .filter(file => file.status !== 'deleted')
+        .map(file => ({ ...file, content: contents.get(file.path) })),
+      originalFilesToDelete: changes.filter(file => file.status === 'deleted').map(file => file.path),
+      patch
+    };
+
+    result.version = await insertHistoryVersion(version => ({
+      id,
+      name: userEmail,
+      mode: 'revert',
+      route: '/api/history/:id/revert',
+      project_type: target.project_type,
+      project_language: target.project_language,
+      output_mode: 'files',
+      prompt: `Revert to version ${target.version}`,
+      summary,
+      files: {
+        input: (latest.snapshot || []).map(file => file.path),
+        output: result.files.map(file => ({ path: file.path, status: file.status })),
+        deleted: result.originalFilesToDelete
+      },
+      result: { ...result, version },
+      parent_id: latest.id,
+      root_id: rootId,
+      version,
+      package_json: target.package_json,
+      original_files: target.original_files,
+      snapshot: target.snapshot
+    }), { rootId, userEmail, version: result.version });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Error reverting generation version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+app.post('/api/subscription/cancel', requireAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const userName = req.auth.email;
+    
+    console.log('=== CANCEL SUBSCRIPTION REQUEST ===');
+    console.log('UserName:', userName);
+
+    // Check if user exists and get their subscription details
+    console.log('Checking if user exists with name:', userName);
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('name, subscription_id, subscription_status, plan')
+      .eq('name', userName)
+      .single();
+
+    if (userError) {
+      console.log('=== USER LOOKUP ERROR ===');
+      console.log('Full userError object:', JSON.stringify(userError, null, 2));
+      
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'User account not found'
+      });
+    }
+
+    console.log('User found:', user);
+
+    // Check if user has an active subscription
+    if (!user.subscription_id) {
+      console.log('ERROR: User has no subscription');
+      return res.status(400).json({
+        success: false,
+        error: 'No subscription found',
+        message: 'User does not have an active subscription'
+      });
+    }
+
+    // Check if subscription is already cancelled or scheduled for cancellation
+    if (user.subscription_status === 'cancelled') {
+      console.log('ERROR: Subscription already cancelled');
+      return res.status(400).json({
+        success: false,
+        error: 'Already cancelled',
+        message: 'Subscription is already cancelled'
+      });
+    }
+
+    if (user.subscription_status === 'cancel_at_period_end') {
+      console.log('ERROR: Subscription already scheduled for cancellation');
+      return res.status(400).json({
+        success: false,
+        error: 'Already scheduled for cancellation',
+        message: 'Subscription is already scheduled to cancel at the end of the billing period'
+      });
+    }
+
+    // Check if subscription is past due
     if (user.subscription_status === 'past_due') {
       console.log('ERROR: Subscription is past due');
       return res.status(400).json({
@@ -1700,20 +2478,21 @@ app.post('/api/subscription/cancel', async (req, res) => {
 });
 
 // Create subscription endpoint (unchanged)
-app.post('/api/payment/create-subscription', async (req, res) => {
+app.post('/api/payment/create-subscription', requireAuth({ allowApiKey: false }), async (req, res) => {
   try {
-    const { userName, plan } = req.body;
+    const { plan } = req.body;
+    const userName = req.auth.email;
     
     console.log('=== CREATE SUBSCRIPTION REQUEST ===');
     console.log('Request body:', req.body);
     console.log('UserName:', userName);
     console.log('Plan:', plan);
 
-    if (!userName || !plan) {
+    if (!plan) {
       console.log('ERROR: Missing required fields');
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'UserName and plan are required'
+        message: 'Plan is required'
       });
     }
 
@@ -1787,19 +2566,9 @@ app.post('/api/payment/create-subscription', async (req, res) => {
 
 
 
-app.post('/api/generate-api-key', async (req, res) => {
+app.post('/api/generate-api-key', requireAuth({ allowApiKey: false }), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    // Validation
-    if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Name is required and must be a valid string'
-      });
-    }
-
-    const userName = name.trim();
+    const userName = req.auth.email;
 
     // Check if user exists
     const { data: existingUser, error: userCheckError } = await supabase
@@ -1841,160 +2610,437 @@ app.post('/api/generate-api-key', async (req, res) => {
       });
     }
 
-    // Check if API key already exists for pro user
-    const { data: existingApiKey, error: apiKeyCheckError } = await supabase
+    // This route keeps its one-key behaviour; more keys are created with POST /api/api-keys
+    const activeKeys = await getActiveApiKeys(userName);
+    if (activeKeys.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'API key already exists for this user. Delete existing key first or create additional keys with /api/api-keys.'
+      });
+    }
+
+    // Usage record of the user (counts are per user, not per key)
+    const preservedCount = await preserveUsageRecord(userName);
+
+    const { apiKey: newApiKey } = await createUserApiKey(userName, { label: 'Default' });
+
+    res.json({
+      success: true,
+      message: 'API key generated successfully',
+      data: {
+        name: userName,
+        plan: userPlan,
+        count: preservedCount,
+        preserved_usage: preservedCount > 0,
+        api_key: newApiKey,
+        hasApiKey: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error processing API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+// Route 2: Delete API Key
+app.post('/api/delete-api-key', requireAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const userName = req.auth.email;
+
+    // Revokes every key of the user; single keys are revoked with DELETE /api/api-keys/:id
+    const { data: revokedKeys, error: updateError } = await revokeUserApiKeys(userName);
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (revokedKeys.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active API key found for this user'
+      });
+    }
+
+    // console.log(`✅ Deleted API key for user: ${userName}`);
+
+    res.json({
+      success: true,
+      message: 'API key deleted successfully',
+      data: {
+        name: userName,
+        deleted_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Named API keys: a Pro user can hold several keys, each with a label, scopes and optional expiry
+const MAX_API_KEYS_PER_USER = Number(process.env.MAX_API_KEYS_PER_USER) || 20;
+const API_KEY_LABEL_MAX_LENGTH = 100;
+
+// Generation requests are counted on the user's api_keys row, which has to exist before a key is used
+async function ensureUsageRecord(userName) {
+  const { error: findError } = await supabase
+    .from('api_keys')
+    .select('name')
+    .eq('name', userName)
+    .single();
+
+  if (!findError) return;
+  if (findError.code !== 'PGRST116') throw findError;
+
+  const { error: insertError } = await supabase
+    .from('api_keys')
+    .insert([{
+      name: userName,
+      count: 0,
+      last_reset_date: new Date().toISOString().split('T')[0]
+    }]);
+
+  if (insertError) {
+    throw insertError;
+  }
+}
+
+// Keeps today's count on the user's api_keys row when a key is replaced, resetting it if it is from an
+// earlier day, and creates the row if it is missing. Returns the count carried over.
+async function preserveUsageRecord(userName) {
+  const { data: existingApiKey, error: apiKeyCheckError } = await supabase
+    .from('api_keys')
+    .select('name, count, last_reset_date')
+    .eq('name', userName)
+    .single();
+
+  if (apiKeyCheckError && apiKeyCheckError.code !== 'PGRST116') {
+    throw apiKeyCheckError;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+
+  if (!existingApiKey) {
+    const { error: insertError } = await supabase
       .from('api_keys')
-      .select('name, api_key, count, last_reset_date')
+      .insert([{
+        name: userName,
+        count: 0,
+        last_reset_date: today
+      }]);
+
+    if (insertError) {
+      throw insertError;
+    }
+    return 0;
+  }
+
+  const preservedCount = existingApiKey.last_reset_date === today ? existingApiKey.count : 0;
+
+  const { error: updateError } = await supabase
+    .from('api_keys')
+    .update({
+      count: preservedCount,
+      last_reset_date: today
+    })
+    .eq('name', userName);
+
+  if (updateError) {
+    throw updateError;
+  }
+  return preservedCount;
+}
+
+// Creates an additional key. Body: label, scopes (defaults to all), expiresAt (optional ISO date).
+// The plain key is only returned in this response.
+app.post('/api/api-keys', requireAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const userName = req.auth.email;
+    const { label, scopes = API_KEY_SCOPES, expiresAt = null } = req.body;
+
+    if (!label || typeof label !== 'string' || label.trim() === '' || label.trim().length > API_KEY_LABEL_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `label is required and must be a string of at most ${API_KEY_LABEL_MAX_LENGTH} characters`
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    if (expiresAt !== null && (Number.isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a date in the future'
+      });
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('plan')
       .eq('name', userName)
       .single();
 
-    if (apiKeyCheckError && apiKeyCheckError.code !== 'PGRST116') {
-      throw apiKeyCheckError;
+    if (userError) {
+      if (userError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found. Please ensure you are registered.'
+        });
+      }
+      throw userError;
     }
 
-    // If API key already exists and is not null, return error
-    if (existingApiKey && existingApiKey.api_key) {
+    if (userData.plan !== 'pro') {
+      return res.status(403).json({
+        success: false,
+        error: 'API key generation is only available for Pro users',
+        data: {
+          currentPlan: userData.plan,
+          upgradeRequired: true
+        }
+      });
+    }
+
+    const activeKeys = await getActiveApiKeys(userName);
+    if (activeKeys.length >= MAX_API_KEYS_PER_USER) {
       return res.status(409).json({
         success: false,
-        error: 'API key already exists for this user. Delete existing key first.'
+        error: `A user can have at most ${MAX_API_KEYS_PER_USER} active API keys. Revoke one first.`
       });
     }
 
-    // Generate API key for pro user
-    const newApiKey = 'sk-' + crypto.randomBytes(32).toString('hex');
-    const hashedApiKey = await hashApiKey(newApiKey);
+    await ensureUsageRecord(userName);
+
+    const { record, apiKey } = await createUserApiKey(userName, {
+      label: label.trim(),
+      scopes: uniqueStrings(scopes),
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully',
+      data: {
+        ...record,
+        masked_key: maskApiKey(record),
+        status: getApiKeyStatus(record),
+        usage_count: 0,
+        api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Lists the user's keys without secrets. Revoked keys are only included with ?includeRevoked=true
+app.get('/api/api-keys', requireAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    let query = supabase
+      .from('user_api_keys')
+      .select(API_KEY_LIST_COLUMNS)
+      .eq('name', req.auth.email);
+
+    const includeRevoked = req.query.includeRevoked === 'true';
+    if (!includeRevoked) query = query.is('revoked_at', null);
+
+    const { data: keys, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      data: await toApiKeySummaries(includeRevoked ? keys : keys.filter(key => !isApiKeyRetired(key)))
+    });
 
-    // Preserve count and reset date logic
-    let preservedCount = 0;
-    let preservedResetDate = new Date().toISOString().split('T')[0];
-    
-    if (existingApiKey) {
-      const today = new Date().toISOString().split('T')[0];
-      
-      if (existingApiKey.last_reset_date === today) {
-        preservedCount = existingApiKey.count;
-        preservedResetDate = existingApiKey.last_reset_date;
-      } else {
-        preservedCount = 0;
-        preservedResetDate = today;
-      }
-    }
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
 
-    // Insert or update API key record
-    if (existingApiKey) {
-      const { error: updateError } = await supabase
-        .from('api_keys')
-        .update({
-          api_key: hashedApiKey,
-          count: preservedCount,
-          last_reset_date: preservedResetDate
-        })
-        .eq('name', userName);
+app.delete('/api/api-keys/:id', requireAuth({ allowApiKey: false }), async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabase
+      .from('user_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('name', req.auth.email)
+      .is('revoked_at', null)
+      .select('id, label, revoked_at');
 
-      if (updateError) {
-        throw updateError;
-      }
-    } else {
-      const { error: insertError } = await supabase
-        .from('api_keys')
-        .insert([{
-          name: userName,
-          api_key: hashedApiKey,
-          count: 0,
-          last_reset_date: new Date().toISOString().split('T')[0]
-        }]);
+    if (error && error.code !== '22P02') throw error;
 
-      if (insertError) {
-        throw insertError;
-      }
+    if (!revoked || revoked.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found'
+      });
     }
 
     res.json({
       success: true,
-      message: 'API key generated successfully',
-      data: {
-        name: userName,
-        plan: userPlan,
-        count: preservedCount,
-        preserved_usage: preservedCount > 0,
-        api_key: newApiKey,
-        hasApiKey: true
-      }
+      message: 'API key revoked successfully',
+      data: revoked[0]
     });
 
   } catch (error) {
-    console.error('Error processing API key:', error);
+    console.error('❌ Error revoking API key:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Internal server error'
     });
   }
 });
-// Route 2: Delete API Key
-app.post('/api/delete-api-key', async (req, res) => {
+
+// Body: gracePeriodHours (optional, 0 revokes the old key immediately). The plain new key is only returned here.
+app.post('/api/api-keys/:id/rotate', requireAuth({ allowApiKey: false }), async (req, res) => {
   try {
-    const { name } = req.body;
+    const userName = req.auth.email;
+    const { gracePeriodHours = API_KEY_ROTATION_GRACE_HOURS } = req.body || {};
 
-    // Validation
-    if (!name || typeof name !== 'string' || name.trim() === '') {
+    if (typeof gracePeriodHours !== 'number' || !Number.isFinite(gracePeriodHours) ||
+        gracePeriodHours < 0 || gracePeriodHours > API_KEY_ROTATION_MAX_GRACE_HOURS) {
       return res.status(400).json({
         success: false,
-        error: 'Name is required and must be a valid string'
+        error: `gracePeriodHours must be a number from 0 to ${API_KEY_ROTATION_MAX_GRACE_HOURS}`
       });
     }
 
-    const userName = name.trim();
-
-    // Check if API key exists for this user
-    const { data: existingApiKey, error: checkError } = await supabase
-      .from('api_keys')
-      .select('name, api_key')
+    const { data: oldKey, error: keyError } = await supabase
+      .from('user_api_keys')
+      .select(API_KEY_LIST_COLUMNS)
+      .eq('id', req.params.id)
       .eq('name', userName)
+      .is('revoked_at', null)
       .single();
 
-    if (checkError) {
-      if (checkError.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          error: 'No API key record found for this user'
-        });
-      }
-      throw checkError;
-    }
+    if (keyError && !['PGRST116', '22P02'].includes(keyError.code)) throw keyError;
 
-    // Check if API key is already null
-    if (!existingApiKey.api_key) {
+    if (!oldKey || isApiKeyRetired(oldKey)) {
       return res.status(404).json({
         success: false,
-        error: 'No active API key found for this user'
+        error: 'Active API key not found'
       });
     }
 
-    // Set API key to null
-    const { error: updateError } = await supabase
-      .from('api_keys')
+    if (oldKey.replaced_by) {
+      return res.status(409).json({
+        success: false,
+        error: 'This API key was already rotated. Rotate its replacement instead.',
+        data: {
+          replaced_by: oldKey.replaced_by,
+          grace_ends_at: oldKey.grace_ends_at
+        }
+      });
+    }
+
+    if (isApiKeyExpired(oldKey)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This API key has expired. Create a new key instead.'
+      });
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('name', userName)
+      .single();
+
+    if (userError) throw userError;
+
+    if (userData.plan !== 'pro') {
+      return res.status(403).json({
+        success: false,
+        error: 'API key generation is only available for Pro users',
+        data: {
+          currentPlan: userData.plan,
+          upgradeRequired: true
+        }
+      });
+    }
+
+    const preservedCount = await preserveUsageRecord(userName);
+
+    const { record, apiKey } = await createUserApiKey(userName, {
+      label: oldKey.label,
+      scopes: oldKey.scopes,
+      expiresAt: oldKey.expires_at
+    });
+
+    const now = new Date();
+    const { data: rotated, error: rotateError } = await supabase
+      .from('user_api_keys')
       .update({
-        api_key: null
+        replaced_by: record.id,
+        rotated_at: now.toISOString(),
+        grace_ends_at: new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000).toISOString(),
+        ...(gracePeriodHours === 0 ? { revoked_at: now.toISOString() } : {})
       })
-      .eq('name', userName);
+      .eq('id', oldKey.id)
+      .is('replaced_by', null)
+      .is('revoked_at', null)
+      .select('id, label, rotated_at, grace_ends_at, revoked_at');
 
-    if (updateError) {
-      throw updateError;
+    if (rotateError) throw rotateError;
+
+    // Another request rotated or revoked the key in the meantime; drop the key issued here
+    if (rotated.length === 0) {
+      await supabase
+        .from('user_api_keys')
+        .update({ revoked_at: now.toISOString() })
+        .eq('id', record.id);
+
+      return res.status(409).json({
+        success: false,
+        error: 'This API key was rotated or revoked by another request'
+      });
     }
 
-    // console.log(`✅ Deleted API key for user: ${userName}`);
+    console.log(`🔄 Rotated API key ${oldKey.id} of user ${userName} (grace period: ${gracePeriodHours}h)`);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'API key deleted successfully',
+      message: 'API key rotated successfully',
       data: {
-        name: userName,
-        deleted_at: new Date().toISOString()
+        ...record,
+        masked_key: maskApiKey(record),
+        status: getApiKeyStatus(record),
+        usage_count: 0,
+        api_key: apiKey,
+        rotated_key: {
+          ...rotated[0],
+          masked_key: maskApiKey(oldKey),
+          status: getApiKeyStatus({ ...oldKey, ...rotated[0] })
+        },
+        count: preservedCount,
+        preserved_usage: preservedCount > 0
       }
     });
 
   } catch (error) {
-    console.error('❌ Error deleting API key:', error);
+    console.error('❌ Error rotating API key:', error);
     res.status(500).json({
       success: false,
       error: error.message || 'Internal server error'
@@ -2002,36 +3048,37 @@ app.post('/api/delete-api-key', async (req, res) => {
   }
 });
 
-// Route 3: Update Count (Increment by 1)
-// Route 3: Update Count (Increment by 1) - UPDATED
-app.post('/api/update-count', async (req, res) => {
+// Route 3: Update Count (Increment by 1) for the authenticated user
+// Counting a request is only allowed for keys that may run generations
+app.post('/api/update-count', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
   try {
-    const { api_key } = req.body;
+    const userName = req.auth.email;
 
-    // Validation
-    if (!api_key || typeof api_key !== 'string' || api_key.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'API key is required and must be a valid string'
-      });
-    }
-
-    const apiKey = api_key.trim();
+    // Only API key callers come with their plan
+    let plan = req.auth.plan;
+    if (!plan) {
+      const { data: userData, error: userError } = await supabase
+        .from('users')
+        .select('plan')
+        .eq('name', userName)
+        .single();
 
-    // UNIFIED APPROACH: Find the API key using hash comparison (works for both free and pro)
-    const apiKeyData = await findApiKeyRecord(apiKey);
-    
-    if (!apiKeyData) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid API key'
-      });
+      if (userError) {
+        if (userError.code === 'PGRST116') {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found'
+          });
+        }
+        throw userError;
+      }
+      plan = userData.plan;
     }
 
     // Use the PostgreSQL function for count management
     const { data: countResult, error: countError } = await supabase
       .rpc('increment_api_count', {
-        api_name: apiKeyData.name
+        api_name: userName
       });
 
     if (countError) {
@@ -2046,12 +3093,20 @@ app.post('/api/update-count', async (req, res) => {
           count: countResult.count,
           limit: countResult.limit,
           remaining: countResult.remaining,
-          plan: apiKeyData.users.plan
+          plan
         }
       });
     }
 
-    console.log(`Incremented count for user: ${apiKeyData.name} (${countResult.count}/${countResult.limit})`);
+    console.log(`Incremented count for user: ${userName} (${countResult.count}/${countResult.limit})`);
+
+    // Logged so the request shows up in the usage of the key it was made with
+    await recordGenerationEvent(userName, {
+      route: req.path,
+      model: null,
+      status: 'completed',
+      apiKeyId: req.auth.apiKeyId
+    });
 
     res.json({
       success: true,
@@ -2060,7 +3115,7 @@ app.post('/api/update-count', async (req, res) => {
         count: countResult.count,
         limit: countResult.limit,
         remaining: countResult.remaining,
-        plan: apiKeyData.users.plan,
+        plan,
         reset_date: new Date().toISOString().split('T')[0]
       }
     });
@@ -2074,20 +3129,10 @@ app.post('/api/update-count', async (req, res) => {
   }
 });
 
-// Route 4: Get User API Key Info by Name
-app.post('/api/get-user-api-info', async (req, res) => {
+// Route 4: Get API Key Info for the authenticated user
+app.post('/api/get-user-api-info', requireAuth({ scope: 'usage-read' }), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    // Validation
-    if (!name || typeof name !== 'string' || name.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Name is required and must be a valid string'
-      });
-    }
-
-    const userName = name.trim();
+    const userName = req.auth.email;
 
     // First, check if user exists in users table (CRITICAL: This ensures plan data is always available)
     const { data: userData, error: userError } = await supabase
@@ -2134,8 +3179,11 @@ app.post('/api/get-user-api-info', async (req, res) => {
 
     const limit = planLimit.limit_value;
 
+    // Pro keys live in user_api_keys; api_keys.api_key only holds the free plan placeholder
+    const activeKeys = await getActiveApiKeys(userName);
+
     // If no API key exists or API key is null, return user info without API key data
-    if (findError && findError.code === 'PGRST116' || !apiKeyData || !apiKeyData.api_key) {
+    if (findError && findError.code === 'PGRST116' || !apiKeyData || (!apiKeyData.api_key && activeKeys.length === 0)) {
       console.log(`📊 User ${userName} exists but has no API key`);
       
       return res.json({
@@ -2143,6 +3191,13 @@ app.post('/api/get-user-api-info', async (req, res) => {
         data: {
           name: userName,
           api_key: null,
+          api_key_id: null,
+          api_key_label: null,
+          api_key_prefix: null,
+          api_key_last4: null,
+          last_used_at: null,
+          key_usage_count: 0,
+          api_keys: [],
           limit: limit,
           count: 0,
           remaining: limit,
@@ -2179,14 +3234,23 @@ app.post('/api/get-user-api-info', async (req, res) => {
 
     console.log(`📊 Retrieved API info for user: ${userName}`);
 
-    // Show a generic masked API key format to indicate one exists
-    const maskedApiKey = "sk-abc123************************def456";
+    // The key this request was made with, otherwise the newest one. Free plan placeholders
+    // are never shown to the user, so there is no key to describe for them.
+    const keySummaries = await toApiKeySummaries(activeKeys);
+    const currentKey = keySummaries.find(key => key.id === req.auth.apiKeyId) || keySummaries[0] || null;
 
     res.json({
       success: true,
       data: {
         name: userName,
-        api_key: maskedApiKey, // Generic masked format
+        api_key: currentKey ? currentKey.masked_key : null,
+        api_key_id: currentKey ? currentKey.id : null,
+        api_key_label: currentKey ? currentKey.label : null,
+        api_key_prefix: currentKey ? currentKey.key_prefix : null,
+        api_key_last4: currentKey ? currentKey.key_last4 : null,
+        last_used_at: currentKey ? currentKey.last_used_at : null,
+        key_usage_count: currentKey ? currentKey.usage_count : 0,
+        api_keys: keySummaries,
         limit: limit,
         count: currentCount,
         remaining: limit - currentCount,
@@ -2194,7 +3258,7 @@ app.post('/api/get-user-api-info', async (req, res) => {
         subscription_status: userData.subscription_status,
         subscription_id: userData.subscription_id,
         last_reset_date: apiKeyData.last_reset_date,
-        created_at: apiKeyData.created_at,
+        created_at: currentKey ? currentKey.created_at : apiKeyData.created_at,
         is_limit_reached: currentCount >= limit,
         isLifetimeLimit: userData.plan === 'free',
         hasApiKey: true // Flag to indicate API key exists
@@ -2211,19 +3275,9 @@ app.post('/api/get-user-api-info', async (req, res) => {
 });
 
 // Route to handle user authentication and database operations
-app.post('/api/handle-user-auth', async (req, res) => {
+app.post('/api/handle-user-auth', requireAuth({ allowApiKey: false }), async (req, res) => {
   try {
-    const { email } = req.body;
-
-    // Validation
-    if (!email || typeof email !== 'string' || email.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Email is required and must be a valid string'
-      });
-    }
-
-    const userEmail = email.trim();
+    const userEmail = req.auth.email;
 
     // console.log(`🔐 Processing user auth for: ${userEmail}`);
 
@@ -2351,6 +3405,174 @@ app.post('/api/submit-feedback', async (req, res) => {
   }
 });
 
+// List the models available to the caller's plan
+app.get('/api/models', requireAuth({ scope: 'usage-read' }), async (req, res) => {
+  try {
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('name', req.auth.email)
+      .single();
+
+    if (userError) {
+      if (userError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found. Please ensure you are registered.'
+        });
+      }
+      throw userError;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        plan: userData.plan,
+        models: getModelsForPlan(userData.plan).map(toPublicModel)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing models:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Builds the normalised project metadata (exports, imports, functions, components, hooks per
+// file) so clients can inspect it or send it back as allFilesMetadata. No AI usage is counted.
+app.post('/api/project-metadata', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const { files } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid input: files array is required and cannot be empty'
+      });
+    }
+
+    const { error: userError } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('name', req.auth.email)
+      .single();
+
+    if (userError) {
+      if (userError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found. Please ensure you are registered.'
+        });
+      }
+      throw userError;
+    }
+
+    const cache = { hits: 0, misses: 0 };
+    const metadata = buildProjectMetadata(files, cache);
+
+    res.json({
+      success: true,
+      data: {
+        ...metadata,
+        cache
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error building project metadata:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Extracts an uploaded project archive without running a generation, so clients can check
+// which files would be sent and what was detected before spending a request.
+app.post('/api/project-upload', requireAuth({ scope: GENERATION_SCOPES }), handleProjectUpload, async (req, res) => {
+  try {
+    if (!req.projectUpload) {
+      return res.status(400).json({
+        success: false,
+        error: 'A zip or tar.gz file is required in the "archive" field'
+      });
+    }
+
+    const { error: userError } = await supabase
+      .from('users')
+      .select('plan')
+      .eq('name', req.auth.email)
+      .single();
+
+    if (userError) {
+      if (userError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found. Please ensure you are registered.'
+        });
+      }
+      throw userError;
+    }
+
+    const { files, skipped, detected, summary } = req.projectUpload;
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        packageJson: detected.packageJson,
+        files: files.map(file => ({ path: file.path, size: Buffer.byteLength(file.content) })),
+        skipped: skipped.slice(0, 500)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error previewing project upload:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
+// Fresh download link for a generation bundle; redirects to a short-lived signed URL
+app.get('/api/artifacts/:id', requireAuth({ scope: GENERATION_SCOPES }), async (req, res) => {
+  try {
+    const { data: logRecord, error: logError } = await supabase
+      .from('generation_logs')
+      .select('id, name, artifact_id')
+      .eq('artifact_id', req.params.id)
+      .single();
+
+    // Bundles of other users are reported as missing rather than forbidden
+    if (logError || logRecord.name !== req.auth.email) {
+      if (logError && logError.code !== 'PGRST116') throw logError;
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found'
+      });
+    }
+
+    const { data: signed, error: signError } = await supabase.storage
+      .from(ARTIFACT_BUCKET)
+      .createSignedUrl(`${logRecord.artifact_id}.zip`, ARTIFACT_URL_TTL_SECONDS, { download: true });
+
+    if (signError) throw signError;
+
+    res.redirect(302, signed.signedUrl);
+
+  } catch (error) {
+    console.error('❌ Error creating artifact download link:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -2362,9 +3584,19 @@ app.get('/api/health', (req, res) => {
 
 
 
-// Start server
-app.listen(port, () => {
-  console.log(`\n🚀 Deepseek Code Processor Server running on port ${port}`);
-  console.log(`📋 Health check: http://localhost:${port}/api/health`);
-  console.log(`🤖 Process endpoint: http://localhost:${port}/api/process-code`);
-});
+// Start server once the model registry is loaded
+loadModelRegistry()
+  .then(() => {
+    setInterval(revokeRetiredApiKeys, API_KEY_ROTATION_SWEEP_MS).unref();
+    revokeRetiredApiKeys();
+
+    app.listen(port, () => {
+      console.log(`\n🚀 Deepseek Code Processor Server running on port ${port}`);
+      console.log(`📋 Health check: http://localhost:${port}/api/health`);
+      console.log(`🤖 Process endpoint: http://localhost:${port}/api/process-code`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to load model registry:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+-- Outcome of each generation request (cancelled, failed, ...) for usage accounting
+create table if not exists generation_logs (
+  id bigint generated always as identity primary key,
+  name text not null,
+  route text not null,
+  model text,
+  status text not null,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists generation_logs_name_created_at_idx
+  on generation_logs (name, created_at desc);
+
+-- Counterpart of increment_api_count: gives back one request unit
+create or replace function decrement_api_count(api_name text)
+returns json
+language plpgsql
+security definer
+as $$
+declare
+  new_count integer;
+begin
+  update api_keys
+     set count = greatest(count - 1, 0)
+   where name = api_name
+  returning count into new_count;
+
+  return json_build_object(
+    'success', new_count is not null,
+    'count', coalesce(new_count, 0)
+  );
+end;
+$$;
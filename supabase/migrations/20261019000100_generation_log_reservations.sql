@@ -0,0 +1,9 @@
+-- generation_logs rows now track quota reservations:
+-- 'reserved' -> 'completed' | 'failed' | 'cancelled'
+alter table generation_logs
+  add column if not exists settled_at timestamptz;
+
+-- Reservations left behind by a crashed process can be found (and refunded) with this index
+create index if not exists generation_logs_reserved_idx
+  on generation_logs (created_at)
+  where status = 'reserved';
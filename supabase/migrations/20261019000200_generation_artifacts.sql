@@ -0,0 +1,12 @@
+-- ZIP bundles of generation results live in a private storage bucket and are
+-- linked from the generation_logs row of the request that produced them
+insert into storage.buckets (id, name, public)
+values ('generation-artifacts', 'generation-artifacts', false)
+on conflict (id) do nothing;
+
+alter table generation_logs
+  add column if not exists artifact_id uuid;
+
+create unique index if not exists generation_logs_artifact_id_idx
+  on generation_logs (artifact_id)
+  where artifact_id is not null;
@@ -0,0 +1,27 @@
+-- Background generation jobs: 'queued' -> 'running' -> 'completed' | 'failed' | 'cancelled'
+create table if not exists generation_jobs (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  type text not null,
+  status text not null default 'queued',
+  request jsonb,
+  result jsonb,
+  error text,
+  last_event_id integer not null default 0,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists generation_jobs_name_created_at_idx
+  on generation_jobs (name, created_at desc);
+
+-- Events of a job in the order they were sent; seq is the SSE id used for Last-Event-ID replay
+create table if not exists generation_job_events (
+  job_id uuid not null references generation_jobs (id) on delete cascade,
+  seq integer not null,
+  type text not null,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  primary key (job_id, seq)
+);
@@ -0,0 +1,24 @@
+-- Completed generation runs with their final result, listed by GET /api/history
+create table if not exists generation_history (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  mode text not null,
+  route text not null,
+  model text,
+  requested_model text,
+  project_type text,
+  project_language text,
+  output_mode text not null default 'files',
+  prompt text,
+  summary text,
+  files jsonb,
+  usage jsonb,
+  result jsonb,
+  artifact_id uuid,
+  generation_log_id bigint references generation_logs (id) on delete set null,
+  job_id uuid references generation_jobs (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists generation_history_name_created_at_idx
+  on generation_history (name, created_at desc);
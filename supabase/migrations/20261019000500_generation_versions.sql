@@ -0,0 +1,16 @@
+-- Refinement threads: every history entry is a version of the project, linked to the version it
+-- was refined from. original_files holds the files the thread started from and snapshot the full
+-- set of files after this version, so any two versions can be diffed or reverted to.
+alter table generation_history
+  add column if not exists parent_id uuid references generation_history (id) on delete set null,
+  add column if not exists root_id uuid,
+  add column if not exists version integer not null default 1,
+  add column if not exists package_json jsonb,
+  add column if not exists original_files jsonb,
+  add column if not exists snapshot jsonb;
+
+update generation_history set root_id = id where root_id is null;
+
+-- Unique, so concurrent refinements of one thread cannot both take the same version number
+create unique index if not exists generation_history_root_id_version_idx
+  on generation_history (root_id, version);
@@ -0,0 +1,9 @@
+-- API keys are issued as sk-<key_id>.<secret> and looked up by key_id instead of
+-- bcrypt-comparing every row. Keys issued before this keep their bcrypt hash and a null
+-- key_id until their first use, when the server stores a derived key_id and a SHA-256 hash.
+alter table api_keys
+  add column if not exists key_id text;
+
+create unique index if not exists api_keys_key_id_idx
+  on api_keys (key_id)
+  where key_id is not null;
@@ -0,0 +1,40 @@
+-- Several named API keys per Pro user, each with scopes, an optional expiry and last use.
+-- Usage stays counted per user in api_keys; api_keys.api_key only keeps free plan placeholders.
+create table if not exists user_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null references users (name) on delete cascade,
+  label text not null,
+  key_id text,
+  key_hash text not null,
+  scopes text[] not null default array['refactor', 'generate', 'optimize', 'usage-read'],
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create unique index if not exists user_api_keys_key_id_idx
+  on user_api_keys (key_id)
+  where key_id is not null;
+
+create index if not exists user_api_keys_name_idx
+  on user_api_keys (name);
+
+-- Existing Pro keys become the user's "Default" key with every scope. Legacy bcrypt keys keep
+-- a null key_id until their first use.
+insert into user_api_keys (name, label, key_id, key_hash, created_at)
+select api_keys.name, 'Default', api_keys.key_id, api_keys.api_key, coalesce(api_keys.created_at, now())
+from api_keys
+join users on users.name = api_keys.name
+where api_keys.api_key is not null
+  and users.plan = 'pro';
+
+update api_keys
+set api_key = null
+from users
+where users.name = api_keys.name
+  and users.plan = 'pro'
+  and api_keys.api_key is not null;
+
+drop index if exists api_keys_key_id_idx;
+alter table api_keys drop column if exists key_id;
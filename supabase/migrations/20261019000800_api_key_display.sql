@@ -0,0 +1,20 @@
+-- The recognisable parts of each key (sk-<key_id> prefix and last four characters) are stored
+-- at creation so users can tell their keys apart. Keys created before this get them on next use;
+-- the prefix of non-legacy keys is known from key_id already.
+alter table user_api_keys
+  add column if not exists key_prefix text,
+  add column if not exists key_last4 text;
+
+update user_api_keys
+set key_prefix = 'sk-' || key_id
+where key_prefix is null
+  and key_id is not null
+  and key_id not like 'legacy-%';
+
+-- Usage per key is counted from the generation logs made with it
+alter table generation_logs
+  add column if not exists api_key_id uuid references user_api_keys (id) on delete set null;
+
+create index if not exists generation_logs_api_key_id_idx
+  on generation_logs (api_key_id)
+  where api_key_id is not null;
@@ -0,0 +1,10 @@
+-- A rotated key points at the key that replaced it and stays usable until grace_ends_at,
+-- after which it is treated as revoked (and revoked_at is filled in by the server's sweep).
+alter table user_api_keys
+  add column if not exists replaced_by uuid references user_api_keys (id) on delete set null,
+  add column if not exists rotated_at timestamptz,
+  add column if not exists grace_ends_at timestamptz;
+
+create index if not exists user_api_keys_grace_ends_at_idx
+  on user_api_keys (grace_ends_at)
+  where grace_ends_at is not null and revoked_at is null;
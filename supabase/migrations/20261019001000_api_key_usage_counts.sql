@@ -0,0 +1,13 @@
+-- Completed generations per API key, for the key listings, in one grouped query
+create or replace function api_key_usage_counts(key_ids uuid[])
+returns table (api_key_id uuid, usage_count bigint)
+language sql
+stable
+security definer
+as $$
+  select api_key_id, count(*)
+    from generation_logs
+   where api_key_id = any(key_ids)
+     and status = 'completed'
+   group by api_key_id;
+$$;
@@ -0,0 +1,323 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { startStubServer, loadLib } = require('./helpers/stub-server');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+// user_api_keys rows served by the Supabase stub
+const apiKeys = [];
+let stub;
+let verifySupabaseJwt;
+let authenticateRequest;
+let revokeUserApiKeys;
+
+function signJwt(claims, { header = { alg: 'HS256', typ: 'JWT' }, secret = JWT_SECRET } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+function validClaims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { sub: 'user-1', email: 'dev@example.com', aud: 'authenticated', iat: now, exp: now + 3600, ...overrides };
+}
+
+function createRequest(headers = {}) {
+  return { get: name => headers[name.toLowerCase()] };
+}
+
+function bearer(token) {
+  return createRequest({ authorization: `Bearer ${token}` });
+}
+
+function hashKey(apiKey) {
+  return 'sha256:' + crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function addRow(apiKey, { plan, keyId, keyHash, scopes = ['refactor'], expiresAt = null }) {
+  const row = {
+    id: apiKeys.length + 1,
+    name: `${plan}-user-${apiKeys.length + 1}`,
+    label: null,
+    key_id: keyId,
+    key_hash: keyHash,
+    scopes,
+    key_last4: apiKey.slice(-4),
+    expires_at: expiresAt,
+    rotated_at: null,
+    grace_ends_at: null,
+    revoked_at: null,
+    users: { plan }
+  };
+  apiKeys.push(row);
+  return row;
+}
+
+function addApiKey({ plan, ...options }) {
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const apiKey = `sk-${keyId}.${crypto.randomBytes(32).toString('hex')}`;
+  addRow(apiKey, { plan, keyId, keyHash: hashKey(apiKey), ...options });
+  return apiKey;
+}
+
+// Keys issued before key ids: no key_id and a bcrypt hash
+function addLegacyApiKey({ plan }) {
+  const apiKey = 'sk-' + crypto.randomBytes(32).toString('hex');
+  addRow(apiKey, { plan, keyId: null, keyHash: bcrypt.hashSync(apiKey, 4) });
+  return apiKey;
+}
+
+// Applies the PostgREST filters the server uses (eq, is, like, gt) to the stored rows
+function matchesFilters(row, searchParams) {
+  for (const [column, filter] of searchParams) {
+    if (['select', 'order', 'limit'].includes(column)) continue;
+    const value = column.split('.').reduce((object, key) => object?.[key], row);
+    const [operator, ...rest] = filter.split('.');
+    const operand = rest.join('.');
+    if (operator === 'eq' && String(value) !== operand) return false;
+    if (operator === 'is' && operand === 'null' && value != null) return false;
+    if (operator === 'like' && !String(value).startsWith(operand.replace(/%$/, ''))) return false;
+    if (operator === 'gt' && !(Number(value) > Number(operand))) return false;
+  }
+  return true;
+}
+
+before(async () => {
+  // Just enough of the Supabase REST API for API key lookups
+  stub = await startStubServer((req, res, body) => {
+    const url = new URL(req.url, 'http://stub');
+    if (url.pathname !== '/rest/v1/user_api_keys') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Not found' }));
+      return;
+    }
+
+    const rows = apiKeys.filter(row => matchesFilters(row, url.searchParams));
+    // Rows are kept in id order, which is the only order the server asks for
+    if (url.searchParams.has('limit')) rows.splice(Number(url.searchParams.get('limit')));
+
+    if (req.method === 'PATCH') {
+      rows.forEach(row => Object.assign(row, JSON.parse(body)));
+      if (!(req.headers.prefer || '').includes('return=representation')) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    if (!(req.headers.accept || '').includes('vnd.pgrst.object')) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(rows));
+      return;
+    }
+
+    if (rows.length !== 1) {
+      res.writeHead(406, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }));
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(rows[0]));
+  });
+
+  ({ verifySupabaseJwt, authenticateRequest, revokeUserApiKeys } = loadLib('auth', {
+    SUPABASE_URL: stub.url,
+    SUPABASE_JWT_SECRET: JWT_SECRET,
+    LEGACY_API_KEY_SCAN_BATCH_SIZE: '2',
+    LEGACY_API_KEY_SCAN_COMPARES_PER_MINUTE: '6'
+  }));
+});
+
+after(() => stub.close());
+
+test('accepts a valid HS256 token', async () => {
+  const token = signJwt(validClaims({ email: ' dev@example.com ' }));
+
+  assert.equal(verifySupabaseJwt(token).sub, 'user-1');
+  assert.deepEqual(await authenticateRequest(bearer(token), { allowApiKey: true }), {
+    email: 'dev@example.com',
+    method: 'jwt',
+    plan: null,
+    apiKeyId: null,
+    scopes: null,
+    deprecation: null
+  });
+});
+
+test('accepts an audience list containing the configured audience', () => {
+  const token = signJwt(validClaims({ aud: ['other', 'authenticated'] }));
+
+  assert.equal(verifySupabaseJwt(token).email, 'dev@example.com');
+});
+
+test('rejects a token signed with another secret', () => {
+  const token = signJwt(validClaims(), { secret: 'wrong-secret' });
+
+  assert.throws(() => verifySupabaseJwt(token), { status: 401, message: 'Invalid access token signature' });
+});
+
+test('rejects a token with a tampered payload', () => {
+  const [header, , signature] = signJwt(validClaims()).split('.');
+  const payload = Buffer.from(JSON.stringify(validClaims({ email: 'admin@example.com' }))).toString('base64url');
+
+  assert.throws(() => verifySupabaseJwt(`${header}.${payload}.${signature}`), { status: 401, message: 'Invalid access token signature' });
+});
+
+test('rejects a token for another audience', () => {
+  const token = signJwt(validClaims({ aud: 'anon' }));
+
+  assert.throws(() => verifySupabaseJwt(token), { status: 401, message: 'Access token was not issued for this service' });
+});
+
+test('rejects an expired token', () => {
+  const now = Math.floor(Date.now() / 1000);
+  const token = signJwt(validClaims({ iat: now - 7200, exp: now - 3600 }));
+
+  assert.throws(() => verifySupabaseJwt(token), { status: 401, message: 'Access token has expired' });
+});
+
+test('allows clock skew on expiry', () => {
+  const token = signJwt(validClaims({ exp: Math.floor(Date.now() / 1000) - 10 }));
+
+  assert.equal(verifySupabaseJwt(token).email, 'dev@example.com');
+});
+
+test('rejects a token without exp', () => {
+  const claims = validClaims();
+  delete claims.exp;
+
+  assert.throws(() => verifySupabaseJwt(signJwt(claims)), { status: 401, message: 'Access token has expired' });
+});
+
+test('rejects a token that is not valid yet', () => {
+  const token = signJwt(validClaims({ nbf: Math.floor(Date.now() / 1000) + 3600 }));
+
+  assert.throws(() => verifySupabaseJwt(token), { status: 401, message: 'Access token is not valid yet' });
+});
+
+test('rejects algorithms other than HS256', () => {
+  const claims = validClaims();
+  const none = signJwt(claims, { header: { alg: 'none', typ: 'JWT' } });
+  const hs512 = signJwt(claims, { header: { alg: 'HS512', typ: 'JWT' } });
+
+  assert.throws(() => verifySupabaseJwt(none.split('.').slice(0, 2).join('.') + '.'), { status: 401, message: 'Unsupported access token algorithm' });
+  assert.throws(() => verifySupabaseJwt(hs512), { status: 401, message: 'Unsupported access token algorithm' });
+});
+
+test('rejects malformed tokens and tokens without an email', () => {
+  assert.throws(() => verifySupabaseJwt('not-a-jwt'), { status: 401, message: 'Malformed access token' });
+  assert.throws(() => verifySupabaseJwt(signJwt(validClaims({ email: '' }))), { status: 401, message: 'Access token has no email claim' });
+});
+
+test('accepts an API key of a Pro user', async () => {
+  const apiKey = addApiKey({ plan: 'pro', scopes: ['refactor', 'usage-read'] });
+  const record = apiKeys.at(-1);
+
+  assert.deepEqual(await authenticateRequest(bearer(apiKey), { allowApiKey: true }), {
+    email: record.name,
+    method: 'api_key',
+    plan: 'pro',
+    apiKeyId: record.id,
+    scopes: ['refactor', 'usage-read'],
+    deprecation: null
+  });
+  assert.ok(record.last_used_at);
+});
+
+test('accepts a legacy API key and moves it to a key id', async () => {
+  const apiKey = addLegacyApiKey({ plan: 'pro' });
+  const record = apiKeys.at(-1);
+
+  assert.equal((await authenticateRequest(bearer(apiKey), { allowApiKey: true })).email, record.name);
+  assert.match(record.key_id, /^legacy-/);
+  assert.equal(record.key_hash, hashKey(apiKey));
+  assert.equal((await authenticateRequest(bearer(apiKey), { allowApiKey: true })).email, record.name);
+});
+
+test('finds a legacy key in later batches and continues after the scan limit', async t => {
+  // A fresh budget window: 6 compares per minute in batches of 2
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 60 * 1000 });
+  const legacyKeys = Array.from({ length: 7 }, () => addLegacyApiKey({ plan: 'pro' }));
+  const record = apiKeys.at(-1);
+
+  await assert.rejects(authenticateRequest(bearer(legacyKeys.at(-1)), { allowApiKey: true }), { status: 429 });
+
+  t.mock.timers.tick(60 * 1000);
+  stub.requests.length = 0;
+  assert.equal((await authenticateRequest(bearer(legacyKeys.at(-1)), { allowApiKey: true })).email, record.name);
+  assert.match(record.key_id, /^legacy-/);
+
+  // The second attempt only compared the keys after the last batch of the first one
+  const scans = stub.requests.filter(request => request.method === 'GET' && request.url.includes('key_id=is.null'));
+  assert.equal(scans.length, 1);
+  assert.match(scans[0].url, new RegExp(`id=gt\\.${apiKeys.at(-2).id}`));
+});
+
+test('rejects an API key of a free user', async () => {
+  const apiKey = addApiKey({ plan: 'free' });
+
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: true }), { status: 403, message: 'API keys are only valid for Pro users' });
+});
+
+test('rejects an unknown API key and a key with the wrong secret part', async () => {
+  const apiKey = addApiKey({ plan: 'pro' });
+  const wrongSecret = apiKey.slice(0, -1) + (apiKey.endsWith('0') ? '1' : '0');
+
+  await assert.rejects(authenticateRequest(bearer(`sk-${'0'.repeat(16)}.${'0'.repeat(64)}`), { allowApiKey: true }), { status: 401, message: 'Invalid API key' });
+  await assert.rejects(authenticateRequest(bearer(wrongSecret), { allowApiKey: true }), { status: 401, message: 'Invalid API key' });
+});
+
+test('rejects an expired API key', async () => {
+  const apiKey = addApiKey({ plan: 'pro', expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: true }), { status: 401, message: 'API key has expired' });
+  assert.equal(apiKeys.at(-1).last_used_at, undefined);
+});
+
+test('rejects a revoked API key', async () => {
+  const apiKey = addApiKey({ plan: 'pro' });
+  apiKeys.at(-1).revoked_at = new Date().toISOString();
+
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: true }), { status: 401, message: 'Invalid API key' });
+});
+
+test('revokes the API keys of a downgraded user for good', async () => {
+  const apiKey = addApiKey({ plan: 'pro' });
+  const record = apiKeys.at(-1);
+
+  const { data: revokedKeys, error } = await revokeUserApiKeys(record.name);
+  assert.equal(error, null);
+  assert.equal(revokedKeys.length, 1);
+  assert.ok(record.revoked_at);
+
+  // Upgrading again does not bring the key back
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: true }), { status: 401, message: 'Invalid API key' });
+});
+
+test('accepts a rotated API key until its grace period ends', async () => {
+  const apiKey = addApiKey({ plan: 'pro' });
+  const record = apiKeys.at(-1);
+  record.rotated_at = new Date(Date.now() - 1000).toISOString();
+  record.grace_ends_at = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  const auth = await authenticateRequest(bearer(apiKey), { allowApiKey: true });
+  assert.deepEqual(auth.deprecation, { rotatedAt: record.rotated_at, sunsetAt: record.grace_ends_at });
+
+  record.grace_ends_at = new Date(Date.now() - 1000).toISOString();
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: true }), { status: 401, message: 'Invalid API key' });
+});
+
+test('rejects API keys on routes that only allow signed-in users', async () => {
+  const apiKey = addApiKey({ plan: 'pro' });
+
+  await assert.rejects(authenticateRequest(bearer(apiKey), { allowApiKey: false }), { status: 403 });
+});
+
+test('rejects a request without a bearer token', async () => {
+  await assert.rejects(authenticateRequest(createRequest(), { allowApiKey: true }), { status: 401 });
+  await assert.rejects(authenticateRequest(createRequest({ authorization: `Basic ${signJwt(validClaims())}` }), { allowApiKey: true }), { status: 401 });
+});
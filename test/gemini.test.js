@@ -0,0 +1,128 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { startStubServer, loadLib, createResponseRecorder } = require('./helpers/stub-server');
+
+const MODEL = {
+  id: 'gemini-test',
+  label: 'Gemini Test',
+  backend: 'gemini',
+  model: 'gemini-2.5-flash',
+  params: { temperature: 0.1 }
+};
+
+// What the next streamGenerateContent request gets: { status, events } or { status, body }
+let reply;
+let stub;
+let streamGeminiCompletion;
+
+function textEvent(text) {
+  return { candidates: [{ content: { parts: [{ text }], role: 'model' }, index: 0 }] };
+}
+
+function callGemini(res, options) {
+  const client = new GoogleGenerativeAI('test-gemini-key');
+  return streamGeminiCompletion(client, { ...MODEL, baseURL: stub.url }, 'Refactor this project', res, options);
+}
+
+before(async () => {
+  stub = await startStubServer((req, res) => {
+    if (reply.events) {
+      res.writeHead(reply.status || 200, { 'content-type': 'text/event-stream' });
+      for (const event of reply.events) {
+        res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\r\n\r\n`);
+      }
+      res.end();
+      return;
+    }
+
+    res.writeHead(reply.status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(reply.body));
+  });
+  ({ streamGeminiCompletion } = loadLib('models'));
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+  stub.requests.length = 0;
+});
+
+test('joins streamed chunks and forwards each one as a chunk event', async () => {
+  reply = { events: [textEvent('{"files": '), textEvent('[], "changes_summary"'), textEvent(': "none"}')] };
+  const res = createResponseRecorder();
+  const pushed = [];
+
+  const response = await callGemini(res, { streamParser: { push: text => pushed.push(text) } });
+
+  assert.equal(response, '{"files": [], "changes_summary": "none"}');
+  assert.deepEqual(res.messages.map(message => message.type), ['chunk', 'chunk', 'chunk']);
+  assert.deepEqual(res.messages.map(message => message.content), ['{"files": ', '[], "changes_summary"', ': "none"}']);
+  assert.deepEqual(pushed, ['{"files": ', '[], "changes_summary"', ': "none"}']);
+});
+
+test('skips chunks without text', async () => {
+  reply = { events: [textEvent('{"a":'), { candidates: [{ content: { parts: [], role: 'model' }, index: 0 }] }, textEvent('1}')] };
+  const res = createResponseRecorder();
+
+  assert.equal(await callGemini(res), '{"a":1}');
+  assert.equal(res.messages.length, 2);
+});
+
+test('requests JSON output with the system prompt and the model params', async () => {
+  reply = { events: [textEvent('{}')] };
+
+  await callGemini(createResponseRecorder());
+
+  assert.equal(stub.requests.length, 1);
+  const [request] = stub.requests;
+  assert.equal(request.url, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+  assert.equal(request.headers['x-goog-api-key'], 'test-gemini-key');
+
+  const body = JSON.parse(request.body);
+  assert.equal(body.generationConfig.responseMimeType, 'application/json');
+  assert.equal(body.generationConfig.temperature, 0.1);
+  assert.match(body.systemInstruction.parts[0].text, /Always return valid JSON/);
+  assert.equal(body.contents[0].parts[0].text, 'Refactor this project');
+});
+
+test('rejects with the HTTP status of a failed request', async () => {
+  reply = { status: 429, body: { error: { code: 429, message: 'Resource has been exhausted', status: 'RESOURCE_EXHAUSTED' } } };
+
+  await assert.rejects(callGemini(createResponseRecorder()), error => {
+    assert.equal(error.status, 429);
+    assert.match(error.message, /Resource has been exhausted/);
+    return true;
+  });
+});
+
+test('rejects a response blocked by safety filters', async () => {
+  reply = { events: [{ promptFeedback: { blockReason: 'SAFETY' } }] };
+
+  await assert.rejects(callGemini(createResponseRecorder()), /blocked/i);
+});
+
+test('rejects a malformed stream', async () => {
+  reply = { events: [textEvent('{"files":'), 'not json'] };
+
+  await assert.rejects(callGemini(createResponseRecorder()), /parsing/i);
+});
+
+test('rejects when the request is aborted', async () => {
+  reply = { events: [textEvent('{}')] };
+  const controller = new AbortController();
+  controller.abort(new Error('Client disconnected'));
+
+  await assert.rejects(callGemini(createResponseRecorder(), { signal: controller.signal }));
+});
+
+test('rejects a prompt larger than the context length without sending it', async () => {
+  const client = new GoogleGenerativeAI('test-gemini-key');
+  const modelConfig = { ...MODEL, baseURL: stub.url, contextLength: 1000 };
+
+  await assert.rejects(
+    streamGeminiCompletion(client, modelConfig, 'x'.repeat(8000), createResponseRecorder()),
+    /too large for Gemini Test/
+  );
+  assert.equal(stub.requests.length, 0);
+});
@@ -0,0 +1,62 @@
+const http = require('http');
+const path = require('path');
+
+// Local HTTP server standing in for an upstream API. handler(req, res, body) answers each
+// request; every request is recorded as { method, url, headers, body }.
+async function startStubServer(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Requires a lib/ module. Settings that modules read when loaded (Supabase URL, JWT secret)
+// have to be in process.env before the first call.
+function loadLib(name, env = {}) {
+  Object.assign(process.env, {
+    SUPABASE_URL: 'http://127.0.0.1:9',
+    SUPABASE_SERVICE_ROLE: 'test-service-role',
+    OPENAI_API_KEY: 'test-openai-key',
+    ...env
+  });
+  return require(path.join(__dirname, '..', '..', 'lib', name));
+}
+
+// Collects what a handler would write to its SSE response
+function createResponseRecorder() {
+  const messages = [];
+  return {
+    messages,
+    writableEnded: false,
+    destroyed: false,
+    write(text) {
+      messages.push(JSON.parse(text.replace(/^data: /, '')));
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  startStubServer,
+  loadLib,
+  createResponseRecorder
+};